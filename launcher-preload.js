@@ -0,0 +1,12 @@
+// launcher-preload.js - Bridge for the quick launcher window (launcher.html).
+// It can only read the active project's item list and ask the main window to open or reveal one item.
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('launcher', {
+    getData: () => ipcRenderer.invoke('launcher-get-data'),
+    run: (id, reveal) => ipcRenderer.send('launcher-run', { id, reveal: reveal === true }),
+    hide: () => ipcRenderer.send('launcher-hide'),
+    onShown: (callback) => ipcRenderer.on('launcher-shown', () => callback()),
+    onDataChanged: (callback) => ipcRenderer.on('launcher-data-changed', () => callback()),
+});
@@ -1,10 +1,12 @@
 // main.js - Updated for frameless window, caching, full IPC handlers, and auto-updater setup
 
-const { app, BrowserWindow, Menu, net, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, Menu, net, ipcMain, dialog, shell, clipboard, session, Tray, globalShortcut, nativeImage, screen, Notification } = require('electron');
 const fs = require('fs').promises;
 const fsSync = require('fs'); // For synchronous operations like existsSync
 const path = require('path');
 const crypto = require('crypto');
+const { pathToFileURL, fileURLToPath } = require('url');
+const { spawn } = require('child_process');
 const { autoUpdater } = require("electron-updater"); 
 const log = require('electron-log'); 
 
@@ -26,9 +28,8 @@ autoUpdater.autoDownload = false; // User will be prompted or it will download a
 
 let mainWindow;
 const liveUrl = 'https://hemopaths.vercel.app'; // Your live site URL
-const localCacheFileName = 'cached_index.html';
 const localCacheDirPath = app.getPath('userData');
-const localCachePath = path.join(localCacheDirPath, localCacheFileName);
+const bundledUiPath = path.join(__dirname, 'index.html');
 const defaultErrorPageFileName = 'error_page.html'; // This file should be in the same directory as main.js or adjust path
 const defaultErrorPagePath = path.join(__dirname, defaultErrorPageFileName); 
 
@@ -80,133 +81,297 @@ async function createDefaultErrorPageIfMissing() {
     }
 }
 
-async function loadInitialContent() {
-    let isEffectivelyOnline = false;
+// --- UI Source & Bundle Cache ---
+// The UI can come from three places, chosen in Options (or HEMOPATHS_UI_MODE for managed/air-gapped installs):
+//   remote-first  check the remote manifest, download a new bundle if there is one, then load the newest usable bundle
+//   cache-first   load the newest usable cached bundle straight away and refresh the cache in the background
+//   bundled       load the index.html shipped with the app and never touch the network
+// The remote publishes `ui-manifest.json` next to the UI: { "version": "1.4.0", "entry": "index.html", "files": { "index.html": "<sha256>" } }.
+// Every file is checked against the manifest after download and again before each load. A bundle only counts as working
+// once its page sends `ui-ready`; if it fails to load or stays silent, it is marked bad and the last working one is used.
+const UI_SOURCE_MODES = ['remote-first', 'cache-first', 'bundled'];
+const uiSourceSettingsPath = path.join(localCacheDirPath, 'ui_source.json');
+const uiCacheDirPath = path.join(localCacheDirPath, 'ui-cache');
+const uiCacheStatePath = path.join(uiCacheDirPath, 'state.json');
+const UI_MANIFEST_FILE_NAME = 'ui-manifest.json';
+const UI_ONLINE_CHECK_TIMEOUT_MS = 4000;
+const UI_DOWNLOAD_TIMEOUT_MS = 15000;
+const UI_READY_TIMEOUT_MS = 15000;
+const MAX_UI_BUNDLES = 3;
+const MAX_UI_BUNDLE_FILES = 200;
+const DEFAULT_UI_SOURCE_SETTINGS = { mode: 'remote-first', remoteUrl: liveUrl, onlineCheckUrl: '' };
+let uiSourceSettings = loadUiSourceSettings();
+let activeUi = { kind: null, bundleId: null, readyTimer: null, confirmed: false }; // kind: 'bundle' | 'bundled' | 'error-page'
+
+function loadUiSourceSettings() {
+    let settings = { ...DEFAULT_UI_SOURCE_SETTINGS };
     try {
-        const { hostname } = new URL(liveUrl);
-        const hostResolved = await new Promise(resolve => {
-            require('dns').lookup(hostname, (err) => {
-                if (err && (err.code === 'ENOTFOUND' || err.code === 'EAI_AGAIN')) { 
-                    log.warn(`[Main Process] DNS lookup for ${hostname} failed (${err.code}).`);
-                    resolve(false);
-                } else if (err) {
-                    log.warn(`[Main Process] DNS lookup for ${hostname} failed with other error: ${err.message}.`);
-                    resolve(false);
-                } else {
-                    log.info(`[Main Process] Successfully resolved ${hostname}.`);
-                    resolve(true);
-                }
+        if (fsSync.existsSync(uiSourceSettingsPath)) settings = { ...settings, ...JSON.parse(fsSync.readFileSync(uiSourceSettingsPath, 'utf-8')) };
+    } catch (err) {
+        log.error('[UI Source] Could not read UI source settings, using defaults:', err.message);
+    }
+    const envMode = process.env.HEMOPATHS_UI_MODE;
+    if (envMode && UI_SOURCE_MODES.includes(envMode)) settings.mode = envMode;
+    if (!UI_SOURCE_MODES.includes(settings.mode)) settings.mode = DEFAULT_UI_SOURCE_SETTINGS.mode;
+    return settings;
+}
+
+function isOfflineMode() { return uiSourceSettings.mode === 'bundled'; }
+
+function uiManifestUrl() { return new URL(UI_MANIFEST_FILE_NAME, uiSourceSettings.remoteUrl.replace(/\/?$/, '/')).toString(); }
+
+function fetchBuffer(url, { method = 'GET', timeoutMs = UI_DOWNLOAD_TIMEOUT_MS } = {}) {
+    return new Promise((resolve, reject) => {
+        const request = net.request({ method, url, useSessionCookies: true });
+        const timer = setTimeout(() => { request.abort(); reject(new Error(`Request to ${url} timed out.`)); }, timeoutMs);
+        request.on('response', (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                clearTimeout(timer);
+                if (res.statusCode >= 200 && res.statusCode < 300) resolve(Buffer.concat(chunks));
+                else reject(new Error(`${url} returned status ${res.statusCode}.`));
             });
+            res.on('error', (err) => { clearTimeout(timer); reject(err); });
         });
-        
-        if (hostResolved) {
-            isEffectivelyOnline = true;
-        } else {
-            log.warn(`[Main Process] Host-specific DNS lookup failed for ${hostname}. Checking general internet connection...`);
-            isEffectivelyOnline = await new Promise(resolve => {
-                require('dns').lookup('google.com', (err) => { // Using google.com as a general check
-                    if (err) {
-                        log.warn('[Main Process] General internet connection check (google.com) failed.');
-                        resolve(false);
-                    } else {
-                        log.info('[Main Process] General internet connection detected.');
-                        resolve(true);
-                    }
-                });
-            });
-        }
-    } catch (e) {
-        log.error('[Main Process] Error during initial connectivity check (URL parsing or DNS module issue):', e.message);
-        isEffectivelyOnline = false;
+        request.on('error', (err) => { clearTimeout(timer); reject(err); });
+        request.end();
+    });
+}
+
+async function isUiRemoteReachable() {
+    if (!uiSourceSettings.onlineCheckUrl) return true; // Fetching the manifest doubles as the online check
+    try {
+        await fetchBuffer(uiSourceSettings.onlineCheckUrl, { method: 'HEAD', timeoutMs: UI_ONLINE_CHECK_TIMEOUT_MS });
+        return true;
+    } catch (err) {
+        log.warn(`[UI Source] Online check failed (${err.message}).`);
+        return false;
     }
+}
 
-    if (isEffectivelyOnline && mainWindow && !mainWindow.isDestroyed()) {
-        log.info('[Main Process] Internet connection detected. Attempting to fetch live site and update cache.');
-        try {
-            const response = await new Promise((resolve, reject) => {
-                const request = net.request({ method: 'GET', url: liveUrl, useSessionCookies: true, timeout: 15000 });
-                let newContentBuffer = Buffer.alloc(0);
-                request.on('response', (res) => {
-                    log.info(`[Main Process] Live site response status: ${res.statusCode}`);
-                    res.on('data', (chunk) => newContentBuffer = Buffer.concat([newContentBuffer, chunk]));
-                    res.on('end', () => {
-                        if (res.statusCode >= 200 && res.statusCode < 300) {
-                            resolve({ success: true, content: newContentBuffer.toString('utf-8') });
-                        } else {
-                            reject(new Error(`Failed to fetch live content. Status: ${res.statusCode}`));
-                        }
-                    });
-                    res.on('error', (err) => { log.error('[Main Process] Response error from live site:', err); reject(err);});
-                });
-                request.on('error', (err) => { log.error('[Main Process] Request error for live content:', err); reject(err); });
-                request.on('timeout', () => { log.error('[Main Process] Request for live content timed out.'); reject(new Error('Request timed out')); });
-                request.end();
-            });
+function sha256(buffer) { return crypto.createHash('sha256').update(buffer).digest('hex'); }
 
-            if (response.success && response.content) {
-                const newContent = response.content;
-                log.info('[Main Process] Successfully fetched live content.');
-                let oldContent = '';
-                try {
-                    if (fsSync.existsSync(localCachePath)) {
-                        oldContent = await fs.readFile(localCachePath, 'utf-8');
-                    }
-                } catch (readError) {
-                    log.warn('[Main Process] No local cache or error reading it:', readError.message);
-                }
+function isSafeBundlePath(relativePath) {
+    return typeof relativePath === 'string' && relativePath !== '' && !path.isAbsolute(relativePath) && !relativePath.split(/[\\/]/).includes('..');
+}
 
-                if (calculateHash(newContent) !== calculateHash(oldContent)) {
-                    log.info('[Main Process] Live content is different. Updating local cache.');
-                    try {
-                        await fs.writeFile(localCachePath, newContent, 'utf-8');
-                        log.info('[Main Process] Local cache updated at:', localCachePath);
-                    } catch (writeError) {
-                        log.error('[Main Process] Failed to write to local cache:', writeError);
-                        await loadFromCacheOrErrorPage(); return;
-                    }
-                } else {
-                    log.info('[Main Process] Live content is same as local cache.');
-                }
-                log.info('[Main Process] Loading latest content (from cache after check):', localCachePath);
-                if (mainWindow && !mainWindow.isDestroyed()) await mainWindow.loadFile(localCachePath);
-            } else { 
-                log.warn('[Main Process] Fetching live site failed. Loading from cache or error page.');
-                await loadFromCacheOrErrorPage();
-            }
-        } catch (fetchError) {
-            log.error('[Main Process] Error fetching live site. Loading from cache or error page:', fetchError.message);
-            await loadFromCacheOrErrorPage();
+function validateUiManifest(manifest) {
+    if (!manifest || typeof manifest !== 'object') throw new Error('Manifest is not an object.');
+    if (typeof manifest.version !== 'string' || manifest.version.trim() === '') throw new Error('Manifest has no version.');
+    const entry = manifest.entry || 'index.html';
+    const files = manifest.files && typeof manifest.files === 'object' ? Object.entries(manifest.files) : [];
+    if (files.length === 0 || files.length > MAX_UI_BUNDLE_FILES) throw new Error(`Manifest must list between 1 and ${MAX_UI_BUNDLE_FILES} files.`);
+    files.forEach(([relativePath, hash]) => {
+        if (!isSafeBundlePath(relativePath)) throw new Error(`Manifest lists an unsafe path: ${relativePath}`);
+        if (!/^[a-f0-9]{64}$/i.test(hash)) throw new Error(`Manifest has an invalid sha256 for ${relativePath}.`);
+    });
+    if (!manifest.files[entry]) throw new Error(`Manifest entry "${entry}" is not in its file list.`);
+    return { version: manifest.version.trim(), entry, files: manifest.files };
+}
+
+function uiBundleId(manifest) {
+    const fileHashes = Object.keys(manifest.files).sort().map(name => `${name}:${manifest.files[name].toLowerCase()}`).join('\n');
+    return `${manifest.version.replace(/[^A-Za-z0-9._-]/g, '_')}-${sha256(fileHashes).slice(0, 10)}`;
+}
+
+async function readUiCacheState() {
+    try {
+        const state = JSON.parse(await fs.readFile(uiCacheStatePath, 'utf-8'));
+        return { bundles: Array.isArray(state.bundles) ? state.bundles : [], lastGoodId: state.lastGoodId || null };
+    } catch (err) {
+        if (err.code !== 'ENOENT') log.warn('[UI Source] UI cache state unreadable, starting fresh:', err.message);
+        return { bundles: [], lastGoodId: null };
+    }
+}
+
+async function writeUiCacheState(state) {
+    await fs.mkdir(uiCacheDirPath, { recursive: true });
+    await writeFileAtomic(uiCacheStatePath, JSON.stringify(state, null, 2));
+}
+
+async function updateUiBundleStatus(bundleId, status) {
+    const state = await readUiCacheState();
+    const bundle = state.bundles.find(b => b.id === bundleId);
+    if (!bundle || bundle.status === status) return;
+    bundle.status = status;
+    if (status === 'good') state.lastGoodId = bundleId;
+    if (status === 'bad' && state.lastGoodId === bundleId) state.lastGoodId = null;
+    await writeUiCacheState(state);
+    log.info(`[UI Source] Bundle ${bundleId} marked ${status}.`);
+}
+
+// Re-hashes every file of a cached bundle against its stored manifest. Returns the entry file path, or null.
+async function verifyUiBundle(bundle) {
+    try {
+        const bundleDir = path.join(uiCacheDirPath, bundle.id);
+        const manifest = validateUiManifest(JSON.parse(await fs.readFile(path.join(bundleDir, UI_MANIFEST_FILE_NAME), 'utf-8')));
+        for (const [relativePath, hash] of Object.entries(manifest.files)) {
+            if (sha256(await fs.readFile(path.join(bundleDir, relativePath))) !== hash.toLowerCase()) throw new Error(`${relativePath} does not match the manifest.`);
         }
-    } else if (mainWindow && !mainWindow.isDestroyed()) { 
-        log.info('[Main Process] No internet connection detected or mainWindow not ready. Loading from local cache or error page.');
-        await loadFromCacheOrErrorPage();
+        return path.join(bundleDir, manifest.entry);
+    } catch (err) {
+        log.warn(`[UI Source] Bundle ${bundle.id} failed verification: ${err.message}`);
+        return null;
     }
 }
 
-async function loadFromCacheOrErrorPage() {
-    if (!mainWindow || mainWindow.isDestroyed()) {
-        log.warn('[Main Process] Cannot load from cache or error page: mainWindow is not available.');
-        return;
+async function pruneUiBundles(state) {
+    const keep = new Set([state.lastGoodId, activeUi.bundleId].filter(Boolean));
+    const newestFirst = [...state.bundles].sort((a, b) => b.downloadedAt.localeCompare(a.downloadedAt));
+    const removable = newestFirst.filter(b => !keep.has(b.id)).slice(Math.max(0, MAX_UI_BUNDLES - keep.size));
+    for (const bundle of removable) {
+        await fs.rm(path.join(uiCacheDirPath, bundle.id), { recursive: true, force: true }).catch(err => log.warn(`[UI Source] Could not remove bundle ${bundle.id}:`, err.message));
     }
+    state.bundles = state.bundles.filter(b => !removable.includes(b));
+}
+
+// Downloads the remote bundle when its manifest differs from everything cached. Returns the bundle id, or null.
+async function refreshUiCache() {
+    if (isOfflineMode()) return null;
+    if (!(await isUiRemoteReachable())) return null;
     try {
-        if (fsSync.existsSync(localCachePath)) {
-            log.info('[Main Process] Loading from local cache:', localCachePath);
-            await mainWindow.loadFile(localCachePath);
-        } else {
-            log.warn('[Main Process] Local cache not found. Loading default error page.');
-            if (fsSync.existsSync(defaultErrorPagePath)) {
-                await mainWindow.loadFile(defaultErrorPagePath);
-            } else {
-                 log.error('[Main Process] CRITICAL: Default error page not found at', defaultErrorPagePath);
-                 mainWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent('<h1>Critical Error</h1><p>Application could not load any content and the default error page was also not found.</p>')}`);
+        const manifestUrl = uiManifestUrl();
+        const manifest = validateUiManifest(JSON.parse((await fetchBuffer(manifestUrl)).toString('utf-8')));
+        const bundleId = uiBundleId(manifest);
+        const state = await readUiCacheState();
+        const existing = state.bundles.find(b => b.id === bundleId);
+        if (existing) {
+            if (existing.status === 'bad') log.warn(`[UI Source] Remote bundle ${bundleId} failed before; keeping the cached UI.`);
+            return existing.status === 'bad' ? null : bundleId;
+        }
+        log.info(`[UI Source] Downloading UI bundle ${bundleId}...`);
+        const stagingDir = path.join(uiCacheDirPath, `${bundleId}.download`);
+        await fs.rm(stagingDir, { recursive: true, force: true });
+        try {
+            for (const [relativePath, hash] of Object.entries(manifest.files)) {
+                const content = await fetchBuffer(new URL(relativePath, manifestUrl).toString());
+                if (sha256(content) !== hash.toLowerCase()) throw new Error(`${relativePath} does not match the manifest hash.`);
+                const targetPath = path.join(stagingDir, relativePath);
+                await fs.mkdir(path.dirname(targetPath), { recursive: true });
+                await fs.writeFile(targetPath, content);
             }
+            await fs.writeFile(path.join(stagingDir, UI_MANIFEST_FILE_NAME), JSON.stringify(manifest, null, 2));
+            await fs.rename(stagingDir, path.join(uiCacheDirPath, bundleId));
+        } catch (err) {
+            await fs.rm(stagingDir, { recursive: true, force: true });
+            throw err;
         }
-    } catch (cacheOrErrorPageError) {
-        log.error('[Main Process] Error loading from cache or default error page:', cacheOrErrorPageError);
-        mainWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent('<h1>Critical Error</h1><p>Application could not load any content, and the default error page was also not found or failed to load.</p>')}`);
+        state.bundles.push({ id: bundleId, version: manifest.version, status: 'verified', downloadedAt: new Date().toISOString() });
+        await pruneUiBundles(state);
+        await writeUiCacheState(state);
+        log.info(`[UI Source] UI bundle ${bundleId} downloaded and verified.`);
+        return bundleId;
+    } catch (err) {
+        log.warn(`[UI Source] Could not refresh the UI cache: ${err.message}`);
+        return null;
+    }
+}
+
+// Picks a cached bundle to load: the preferred one, else the newest untried/working one, else the last known good one.
+async function loadCachedUiBundle({ preferId = null, lastGoodOnly = false } = {}) {
+    const state = await readUiCacheState();
+    const usable = state.bundles.filter(b => b.status !== 'bad').sort((a, b) => b.downloadedAt.localeCompare(a.downloadedAt));
+    const lastGood = usable.find(b => b.id === state.lastGoodId);
+    const candidates = lastGoodOnly ? [lastGood] : [usable.find(b => b.id === preferId), ...usable, lastGood];
+    const tried = new Set();
+    for (const bundle of candidates) {
+        if (!bundle || tried.has(bundle.id)) continue;
+        tried.add(bundle.id);
+        const entryPath = await verifyUiBundle(bundle);
+        if (!entryPath) { await updateUiBundleStatus(bundle.id, 'bad'); continue; }
+        if (await loadUiFile(entryPath, 'bundle', bundle.id)) return true;
+    }
+    return false;
+}
+
+async function loadUiFile(filePath, kind, bundleId = null) {
+    if (!mainWindow || mainWindow.isDestroyed()) return false;
+    clearTimeout(activeUi.readyTimer);
+    activeUi = { kind, bundleId, readyTimer: null, confirmed: false };
+    try {
+        log.info(`[UI Source] Loading ${kind}${bundleId ? ` ${bundleId}` : ''}: ${filePath}`);
+        if (kind === 'bundle') activeUi.readyTimer = setTimeout(() => rollbackUi('it did not report ready in time'), UI_READY_TIMEOUT_MS);
+        await mainWindow.loadFile(filePath);
+        return true;
+    } catch (err) {
+        log.error(`[UI Source] Failed to load ${filePath}:`, err.message);
+        if (kind === 'bundle') { clearTimeout(activeUi.readyTimer); await updateUiBundleStatus(bundleId, 'bad'); }
+        activeUi = { kind: null, bundleId: null, readyTimer: null, confirmed: false };
+        return false;
+    }
+}
+
+async function rollbackUi(reason) {
+    if (activeUi.kind !== 'bundle' || activeUi.confirmed) return;
+    const failedId = activeUi.bundleId;
+    log.warn(`[UI Source] Bundle ${failedId} is not working (${reason}). Rolling back.`);
+    activeUi = { kind: null, bundleId: null, readyTimer: null, confirmed: false };
+    await updateUiBundleStatus(failedId, 'bad');
+    if (!(await loadCachedUiBundle({ lastGoodOnly: true }))) await loadFallbackUi();
+}
+
+async function loadFallbackUi() {
+    if (!mainWindow || mainWindow.isDestroyed()) {
+        log.warn('[Main Process] Cannot load fallback UI: mainWindow is not available.');
+        return;
+    }
+    if (fsSync.existsSync(bundledUiPath) && await loadUiFile(bundledUiPath, 'bundled')) return;
+    log.warn('[Main Process] Bundled UI unavailable. Loading default error page.');
+    if (fsSync.existsSync(defaultErrorPagePath) && await loadUiFile(defaultErrorPagePath, 'error-page')) return;
+    log.error('[Main Process] CRITICAL: Default error page not found at', defaultErrorPagePath);
+    mainWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent('<h1>Critical Error</h1><p>Application could not load any content and the default error page was also not found.</p>')}`);
+}
+
+async function loadInitialContent() {
+    // Single-file cache from older versions; bundles replace it.
+    fs.rm(path.join(localCacheDirPath, 'cached_index.html'), { force: true }).catch(() => {});
+    const { mode } = uiSourceSettings;
+    log.info(`[UI Source] Starting in ${mode} mode.`);
+    if (mode === 'bundled') return loadFallbackUi();
+    if (mode === 'cache-first') {
+        if (!(await loadCachedUiBundle())) await loadFallbackUi();
+        refreshUiCache().then(bundleId => { if (bundleId) log.info(`[UI Source] Bundle ${bundleId} is ready for the next start.`); });
+        return;
     }
+    const bundleId = await refreshUiCache();
+    if (!(await loadCachedUiBundle({ preferId: bundleId }))) await loadFallbackUi();
 }
 
+ipcMain.on('ui-ready', async (event) => {
+    if (!mainWindow || event.sender !== mainWindow.webContents || activeUi.kind !== 'bundle' || activeUi.confirmed) return;
+    clearTimeout(activeUi.readyTimer);
+    activeUi.confirmed = true;
+    try {
+        await updateUiBundleStatus(activeUi.bundleId, 'good');
+        const state = await readUiCacheState();
+        await pruneUiBundles(state);
+        await writeUiCacheState(state);
+    } catch (err) {
+        log.warn('[UI Source] Could not record working bundle:', err.message);
+    }
+});
+
+ipcMain.handle('get-ui-source-settings', async () => {
+    const state = await readUiCacheState();
+    const activeBundle = state.bundles.find(b => b.id === activeUi.bundleId);
+    return { settings: uiSourceSettings, modes: UI_SOURCE_MODES, envOverride: process.env.HEMOPATHS_UI_MODE || null, active: { kind: activeUi.kind, version: activeBundle ? activeBundle.version : null }, bundles: state.bundles, lastGoodId: state.lastGoodId };
+});
+
+ipcMain.handle('set-ui-source-settings', async (event, settings = {}) => {
+    if (!UI_SOURCE_MODES.includes(settings.mode)) throw new Error(`Unknown UI source mode "${settings.mode}".`);
+    const checkUrl = (value, label, required) => {
+        if (!value && !required) return '';
+        if (typeof value !== 'string' || !isWebLocation(value)) throw new Error(`${label} must be an http(s) URL.`);
+        return value.trim();
+    };
+    const next = { mode: settings.mode, remoteUrl: checkUrl(settings.remoteUrl, 'Remote UI URL', true), onlineCheckUrl: checkUrl(settings.onlineCheckUrl, 'Online check URL', false) };
+    await writeFileAtomic(uiSourceSettingsPath, JSON.stringify(next, null, 2));
+    uiSourceSettings = loadUiSourceSettings();
+    log.info('[UI Source] Settings saved:', next);
+    return uiSourceSettings;
+});
+
 function setupAutoUpdater(windowInstance) {
     if (!windowInstance) {
         log.error('[AutoUpdater] Cannot setup: mainWindow is not defined.');
@@ -217,6 +382,10 @@ function setupAutoUpdater(windowInstance) {
     ipcMain.on('check-for-updates', () => {
         log.info('[AutoUpdater] Renderer requested update check.');
         if (!windowInstance || windowInstance.isDestroyed()) return;
+        if (isOfflineMode()) {
+            windowInstance.webContents.send('update-status-message', 'Update checks are off while the app runs from bundled content only (no network).');
+            return;
+        }
         windowInstance.webContents.send('update-status-message', 'Checking for updates...');
         autoUpdater.checkForUpdates();
     });
@@ -260,6 +429,7 @@ function setupAutoUpdater(windowInstance) {
             buttons: ['Restart Now', 'Later']
         }).then(({response}) => { 
             if (response === 0) { 
+                isQuitting = true; // Lets the window close instead of hiding to the tray
                 autoUpdater.quitAndInstall(true, true); 
             }
         });
@@ -272,9 +442,12 @@ async function createWindow() {
     width: 1300,
     height: 1300,
     frame: true, 
+    show: !startHidden, // Started at login: stay in the tray until opened
     webPreferences: {
-      nodeIntegration: true,
-      contextIsolation: false,
+      preload: path.join(__dirname, 'preload.js'), // Exposes window.hemo; the page itself gets no Node or Electron access
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true,
     }
  });
 
@@ -286,20 +459,523 @@ async function createWindow() {
  setupAutoUpdater(mainWindow);
 
 
+ // A new bundle that crashes its renderer before reporting ready is rolled back like one that fails to load.
+ mainWindow.webContents.on('render-process-gone', (event, details) => rollbackUi(`renderer ${details.reason}`));
+
+ // With the tray icon on, closing only hides the window so the tray, launcher and reminders keep working.
+ mainWindow.on('close', (event) => {
+    if (isQuitting || !tray || !desktopSettings.closeToTray) return;
+    event.preventDefault();
+    mainWindow.hide();
+ });
+
  mainWindow.on('closed', function () {
     mainWindow = null;
+    if (launcherWindow && !launcherWindow.isDestroyed()) launcherWindow.destroy(); // A hidden launcher would keep the app from quitting
  });
 }
 
-app.whenReady().then(() => {
-    createWindow();
-    app.on('activate', function () {
-        if (BrowserWindow.getAllWindows().length === 0) createWindow();
+// --- Command Line & Deep Links ---
+// `--list`, `--export` and `--help` run without a window and exit. Everything else (a project, category or item to show)
+// is queued for the renderer, which pulls the queue once it has loaded; a second launch forwards its arguments here.
+const DEEP_LINK_PROTOCOL = 'hemopaths';
+const CLI_USAGE = `Usage: hemopaths [options] [project.hpmt | ${DEEP_LINK_PROTOCOL}://open?project=...&category=...&item=...]
+
+  --project <file>        Project (.hpmt) to open, or to read with --list/--export
+  --open-category <key>   Category to show after loading (key or display name)
+  --open-item <id|name>   Item to open after loading
+  --list                  Print the project's items grouped by category, then exit
+  --export json           Print the project as JSON, then exit
+  --output <file>         Write --list/--export output to a file instead of stdout
+  --hidden                Start in the system tray without showing the window
+  --help                  Print this help, then exit
+
+On Windows HemoPaths is a GUI application: the console it was started from does not show
+what it prints. Use --output <file> there for --list and --export; help and errors are
+written to that file when one is given and shown in a dialog otherwise.`;
+let pendingLaunchRequests = [];
+
+// `hemopaths://open?project=<path>&category=<key>&item=<id or name>`; the project path may use ~ and path variables.
+function parseDeepLink(link, errors) {
+    let url;
+    try { url = new URL(link); } catch (err) { errors.push(`Invalid link: ${link}`); return {}; }
+    if (url.hostname !== 'open') { errors.push(`Unsupported link action "${url.hostname}". Use ${DEEP_LINK_PROTOCOL}://open?...`); return {}; }
+    const params = url.searchParams;
+    return { project: params.get('project'), category: params.get('category'), item: params.get('item'), source: 'link' };
+}
+
+function parseLaunchArgs(argv, workingDirectory = process.cwd()) {
+    const request = { project: null, category: null, item: null, list: false, exportFormat: null, output: null, help: false, source: 'cli', workingDirectory, errors: [] };
+    let args = argv.slice(1);
+    if (process.defaultApp) { // Started as `electron .`: the first positional argument is the app folder
+        const appPathIndex = args.findIndex(arg => !arg.startsWith('-'));
+        if (appPathIndex !== -1) args.splice(appPathIndex, 1);
+    }
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const equalsIndex = arg.startsWith('--') ? arg.indexOf('=') : -1;
+        const flag = equalsIndex === -1 ? arg : arg.slice(0, equalsIndex);
+        const takeValue = () => {
+            if (equalsIndex !== -1) return arg.slice(equalsIndex + 1);
+            const next = args[i + 1];
+            if (next === undefined || next.startsWith('--')) { request.errors.push(`${flag} needs a value.`); return null; }
+            i++;
+            return next;
+        };
+        switch (flag) {
+            case '--project': request.project = takeValue(); break;
+            case '--open-category': request.category = takeValue(); break;
+            case '--open-item': request.item = takeValue(); break;
+            case '--list': request.list = true; break;
+            case '--export': request.exportFormat = takeValue(); break;
+            case '--output': request.output = takeValue(); break;
+            case '--help': case '-h': request.help = true; break;
+            default:
+                if (arg.toLowerCase().startsWith(`${DEEP_LINK_PROTOCOL}:`)) Object.assign(request, parseDeepLink(arg, request.errors));
+                else if (arg.toLowerCase().endsWith('.hpmt')) request.project = arg; // File association / "Open with"
+                // Anything else (switches added by Chromium or the OS on relaunch) is ignored.
+        }
+    }
+    return request;
+}
+
+// Kept separate from parsing because the first launch is parsed before path variables are loaded.
+function resolveLaunchProject(request) {
+    if (!request.project) return;
+    const { path: projectPath, unresolved } = resolveItemLocation(request.project, null);
+    if (unresolved.length > 0) { request.errors.push(`Path variable(s) not defined on this machine: ${unresolved.join(', ')}.`); request.project = null; }
+    else request.project = path.resolve(request.workingDirectory, projectPath);
+}
+
+function isHeadlessLaunch(request) { return request.help || request.list || !!request.exportFormat; }
+
+function formatProjectListing(data) {
+    const categoryDisplay = key => (data.appCategories.find(c => c.key === key) || {}).display || key;
+    const grouped = data.projectFiles.reduce((acc, item) => { (acc[item.category] = acc[item.category] || []).push(item); return acc; }, {});
+    return Object.keys(grouped).map(key => [`${categoryDisplay(key)} [${key}] (${grouped[key].length})`, ...grouped[key].map(item => `  ${item.name}\t${item.location}`)].join('\n')).join('\n\n');
+}
+
+// Printed output reaches a terminal on macOS and Linux. On Windows GUI applications get no console, so help and errors
+// go to the --output file when one is given and to a native dialog otherwise.
+async function reportHeadlessMessage(request, text, isError) {
+    if (process.platform !== 'win32') { (isError ? process.stderr : process.stdout).write(`${text}\n`); return; }
+    if (request.output) {
+        try { await writeFileAtomic(path.resolve(request.output), `${text}\n`); return; }
+        catch (err) { text = `${text}\n\nCould not write ${request.output}: ${err.message}`; }
+    }
+    await dialog.showMessageBox({ type: isError ? 'error' : 'info', title: 'HemoPaths', message: isError ? 'The command could not be run.' : 'HemoPaths command-line options', detail: text });
+}
+
+async function runHeadlessCommand(request) {
+    if (request.help) { await reportHeadlessMessage(request, CLI_USAGE, false); return 0; }
+    resolveLaunchProject(request);
+    if (!request.project) request.errors.push('--list and --export need a project: --project <file>.');
+    if (request.exportFormat && request.exportFormat.toLowerCase() !== 'json') request.errors.push(`Unsupported export format "${request.exportFormat}". Supported: json.`);
+    if (request.errors.length > 0) { await reportHeadlessMessage(request, `${request.errors.join('\n')}\n\n${CLI_USAGE}`, true); return 2; }
+    try {
+        const result = await readProjectFile(request.project);
+        if (result.errors.length > 0) {
+            await reportHeadlessMessage(request, `${request.project} is not a valid project:\n${result.errors.map(e => `  ${e.field} ${e.message}`).join('\n')}`, true);
+            return 1;
+        }
+        const output = request.list ? formatProjectListing(result.data) : JSON.stringify(result.data, null, 2);
+        if (request.output) await writeFileAtomic(path.resolve(request.output), `${output}\n`);
+        else process.stdout.write(`${output}\n`);
+        return 0;
+    } catch (err) {
+        await reportHeadlessMessage(request, `Could not read ${request.project}: ${err.message}`, true);
+        return 1;
+    }
+}
+
+function queueLaunchRequest(request) {
+    resolveLaunchProject(request); // Not approved here: loading the project asks natively, showing its full path
+    if (request.errors.length > 0) log.warn(`[Launch] Ignoring invalid arguments: ${request.errors.join(' ')}`);
+    const tasks = Array.isArray(request.tasks) ? request.tasks : []; // Task ids to show, from a reminder notification
+    if (!request.project && !request.category && !request.item && tasks.length === 0) return;
+    const { project, category, item, action, source } = request; // action: 'reveal' an item or 'open-all' in a category
+    pendingLaunchRequests.push({ project, category, item, action, tasks, source });
+    log.info(`[Launch] Queued ${source} request:`, { project, category, item, action, tasks });
+    if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('launch-requests-available');
+}
+
+function focusMainWindow() {
+    if (!mainWindow || mainWindow.isDestroyed()) { if (app.isReady()) createWindow(); return; }
+    if (mainWindow.isMinimized()) mainWindow.restore();
+    mainWindow.show();
+    mainWindow.focus();
+}
+
+ipcMain.handle('take-launch-requests', () => {
+    const requests = pendingLaunchRequests;
+    pendingLaunchRequests = [];
+    return requests;
+});
+
+// --- Tray & Quick Launcher ---
+// The renderer publishes a small snapshot of the active project (see `publish-quick-launch-data`) that feeds the tray menu
+// and the launcher window. Choosing an item queues a launch request, so the renderer opens or reveals it with the same
+// code (and launch profiles) as a click on its card, even while the main window is hidden.
+const desktopSettingsPath = path.join(localCacheDirPath, 'desktop_settings.json');
+const recentItemsPath = path.join(localCacheDirPath, 'recent_items.json');
+const DEFAULT_DESKTOP_SETTINGS = { trayEnabled: true, closeToTray: true, launcherShortcut: 'CommandOrControl+Shift+Space', openAtLogin: false };
+const MAX_RECENT_ITEMS = 10;
+const MAX_TRAY_ITEMS_PER_CATEGORY = 25;
+const HIDDEN_START_FLAG = '--hidden';
+let desktopSettings = loadDesktopSettings();
+let quickLaunchData = { projectName: '', items: [], categories: [] };
+let recentItemIds = loadRecentItemIds();
+let tray = null;
+let launcherWindow = null;
+let registeredLauncherShortcut = null;
+let isQuitting = false;
+let startHidden = false;
+
+function loadDesktopSettings() {
+    try {
+        if (fsSync.existsSync(desktopSettingsPath)) return { ...DEFAULT_DESKTOP_SETTINGS, ...JSON.parse(fsSync.readFileSync(desktopSettingsPath, 'utf-8')) };
+    } catch (err) {
+        log.error('[Desktop] Could not read desktop settings, using defaults:', err.message);
+    }
+    return { ...DEFAULT_DESKTOP_SETTINGS };
+}
+
+function loadRecentItemIds() {
+    try {
+        if (!fsSync.existsSync(recentItemsPath)) return [];
+        const parsed = JSON.parse(fsSync.readFileSync(recentItemsPath, 'utf-8'));
+        return Array.isArray(parsed) ? parsed.filter(id => typeof id === 'number').slice(0, MAX_RECENT_ITEMS) : [];
+    } catch (err) {
+        log.error('[Desktop] Could not read recent items:', err.message);
+        return [];
+    }
+}
+
+function rememberRecentItems(ids) {
+    if (ids.length === 0) return;
+    recentItemIds = [...new Set([...[...ids].reverse(), ...recentItemIds])].slice(0, MAX_RECENT_ITEMS);
+    writeFileAtomic(recentItemsPath, JSON.stringify(recentItemIds)).catch(err => log.error('[Desktop] Could not save recent items:', err.message));
+    updateTrayMenu();
+}
+
+function getRecentQuickLaunchItems() {
+    return recentItemIds.map(id => quickLaunchData.items.find(item => item.id === id)).filter(Boolean);
+}
+
+function runQuickLaunchAction({ item, category, action, source }) {
+    queueLaunchRequest({ project: null, category: category || null, item: item !== undefined && item !== null ? String(item) : null, action, source, errors: [] });
+    if (!mainWindow || mainWindow.isDestroyed()) focusMainWindow(); // Recreated windows pick the request up when they load
+}
+
+function buildTrayMenu() {
+    const itemMenuEntry = (item) => ({ label: item.name.replace(/&/g, '&&'), click: () => runQuickLaunchAction({ item: item.id, source: 'tray' }) });
+    const recent = getRecentQuickLaunchItems();
+    const categoryMenus = quickLaunchData.categories.map(category => {
+        const items = quickLaunchData.items.filter(item => item.category === category.key);
+        if (items.length === 0) return null;
+        const more = items.length - MAX_TRAY_ITEMS_PER_CATEGORY;
+        return { label: `${category.display.replace(/&/g, '&&')} (${items.length})`, submenu: [
+            { label: 'Open All in Category', click: () => runQuickLaunchAction({ category: category.key, action: 'open-all', source: 'tray' }) },
+            { label: 'Show in HemoPaths', click: () => { focusMainWindow(); runQuickLaunchAction({ category: category.key, source: 'tray' }); } },
+            { type: 'separator' },
+            ...items.slice(0, MAX_TRAY_ITEMS_PER_CATEGORY).map(itemMenuEntry),
+            ...(more > 0 ? [{ label: `…and ${more} more (use the Quick Launcher)`, enabled: false }] : [])
+        ] };
+    }).filter(Boolean);
+    return Menu.buildFromTemplate([
+        { label: 'Show HemoPaths', click: focusMainWindow },
+        { label: 'Quick Launcher', accelerator: registeredLauncherShortcut || undefined, click: showLauncher },
+        { type: 'separator' },
+        { label: 'Recent Items', enabled: recent.length > 0, submenu: recent.length > 0 ? recent.map(itemMenuEntry) : [{ label: 'Nothing opened yet', enabled: false }] },
+        ...(categoryMenus.length > 0 ? categoryMenus : [{ label: 'No items in the active project', enabled: false }]),
+        { type: 'separator' },
+        { label: 'Start at Login (in the Tray)', type: 'checkbox', checked: desktopSettings.openAtLogin, click: (menuItem) => saveDesktopSettings({ ...desktopSettings, openAtLogin: menuItem.checked }).catch(err => log.error('[Desktop] Could not save settings:', err.message)) },
+        { label: 'Quit HemoPaths', click: () => { isQuitting = true; app.quit(); } }
+    ]);
+}
+
+function updateTrayMenu() {
+    if (!tray) return;
+    tray.setContextMenu(buildTrayMenu());
+    tray.setToolTip(quickLaunchData.projectName ? `HemoPaths – ${quickLaunchData.projectName}` : 'HemoPaths');
+}
+
+function setupTray() {
+    if (!desktopSettings.trayEnabled) {
+        if (tray) { tray.destroy(); tray = null; log.info('[Desktop] Tray icon removed.'); }
+        return;
+    }
+    if (tray) return updateTrayMenu();
+    // nativeImage decodes ICO only on Windows; elsewhere the tray uses the PNG copy of the icon.
+    const icon = nativeImage.createFromPath(path.join(__dirname, process.platform === 'win32' ? 'icon.ico' : 'icon.png'));
+    if (icon.isEmpty()) { log.warn('[Desktop] Tray icon image could not be loaded; running without a tray icon.'); return; }
+    tray = new Tray(process.platform === 'darwin' ? icon.resize({ width: 16, height: 16 }) : icon);
+    tray.on('click', focusMainWindow); // Windows/Linux: left click shows the window, right click opens the menu
+    updateTrayMenu();
+    log.info('[Desktop] Tray icon created.');
+}
+
+function registerLauncherShortcut(accelerator) {
+    if (registeredLauncherShortcut) globalShortcut.unregister(registeredLauncherShortcut);
+    registeredLauncherShortcut = null;
+    if (!accelerator) return true;
+    let registered = false;
+    try { registered = globalShortcut.register(accelerator, toggleLauncher); } catch (err) { log.warn(`[Desktop] Invalid launcher shortcut "${accelerator}":`, err.message); }
+    if (registered) registeredLauncherShortcut = accelerator;
+    else log.warn(`[Desktop] Could not register launcher shortcut "${accelerator}"; another app may be using it.`);
+    return registered;
+}
+
+function applyLoginItemSettings() {
+    if (process.platform === 'linux') return; // Not supported by Electron on Linux; use the desktop's autostart settings
+    app.setLoginItemSettings({ openAtLogin: desktopSettings.openAtLogin, openAsHidden: true, args: [HIDDEN_START_FLAG] });
+}
+
+function wasStartedHidden() {
+    if (!tray) return false; // Without the tray there would be no way to bring the window back
+    if (process.argv.includes(HIDDEN_START_FLAG)) return true;
+    return process.platform === 'darwin' && app.getLoginItemSettings().wasOpenedAsHidden;
+}
+
+async function saveDesktopSettings(next) {
+    const previousShortcut = desktopSettings.launcherShortcut;
+    if (next.launcherShortcut !== previousShortcut && !registerLauncherShortcut(next.launcherShortcut)) {
+        registerLauncherShortcut(previousShortcut);
+        throw new Error(`The shortcut "${next.launcherShortcut}" could not be registered. It may be invalid or used by another app.`);
+    }
+    desktopSettings = next;
+    await writeFileAtomic(desktopSettingsPath, JSON.stringify(desktopSettings, null, 2));
+    applyLoginItemSettings();
+    setupTray();
+    log.info('[Desktop] Settings saved:', desktopSettings);
+    return desktopSettings;
+}
+
+function createLauncherWindow() {
+    launcherWindow = new BrowserWindow({
+        width: 640, height: 420, frame: false, resizable: false, movable: false, minimizable: false, maximizable: false,
+        alwaysOnTop: true, skipTaskbar: true, show: false, backgroundColor: '#0c0e1c',
+        webPreferences: { preload: path.join(__dirname, 'launcher-preload.js'), nodeIntegration: false, contextIsolation: true, sandbox: true }
+    });
+    launcherWindow.loadFile(path.join(__dirname, 'launcher.html'));
+    launcherWindow.on('blur', hideLauncher);
+    launcherWindow.on('closed', () => { launcherWindow = null; });
+}
+
+function showLauncher() {
+    if (!launcherWindow || launcherWindow.isDestroyed()) createLauncherWindow();
+    const display = screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+    const { width, height } = launcherWindow.getBounds();
+    launcherWindow.setPosition(Math.round(display.workArea.x + (display.workArea.width - width) / 2), Math.round(display.workArea.y + display.workArea.height * 0.2));
+    launcherWindow.webContents.send('launcher-shown');
+    launcherWindow.show();
+    launcherWindow.focus();
+}
+
+function hideLauncher() { if (launcherWindow && !launcherWindow.isDestroyed() && launcherWindow.isVisible()) launcherWindow.hide(); }
+
+function toggleLauncher() {
+    if (launcherWindow && !launcherWindow.isDestroyed() && launcherWindow.isVisible()) hideLauncher();
+    else showLauncher();
+}
+
+function isFromLauncher(event) { return !!launcherWindow && !launcherWindow.isDestroyed() && event.sender === launcherWindow.webContents; }
+
+ipcMain.on('publish-quick-launch-data', (event, data = {}) => {
+    const text = (value) => typeof value === 'string' ? value : '';
+    quickLaunchData = {
+        projectName: text(data.projectName),
+        items: (Array.isArray(data.items) ? data.items : []).filter(item => item && typeof item.id === 'number' && typeof item.name === 'string').map(item => ({
+            id: item.id, name: item.name, actualName: text(item.actualName), location: text(item.location), entryType: text(item.entryType),
+            category: text(item.category), tags: Array.isArray(item.tags) ? item.tags.filter(tag => typeof tag === 'string') : []
+        })),
+        categories: (Array.isArray(data.categories) ? data.categories : []).filter(c => c && typeof c.key === 'string' && typeof c.display === 'string').map(c => ({ key: c.key, display: c.display }))
+    };
+    updateTrayMenu();
+    if (launcherWindow && !launcherWindow.isDestroyed()) launcherWindow.webContents.send('launcher-data-changed');
+});
+
+ipcMain.handle('launcher-get-data', (event) => {
+    if (!isFromLauncher(event)) throw new Error('Not available to this window.');
+    return { ...quickLaunchData, recentIds: getRecentQuickLaunchItems().map(item => item.id), shortcut: registeredLauncherShortcut };
+});
+
+ipcMain.on('launcher-run', (event, { id, reveal } = {}) => {
+    if (!isFromLauncher(event) || !quickLaunchData.items.some(item => item.id === id)) return;
+    hideLauncher();
+    runQuickLaunchAction({ item: id, action: reveal ? 'reveal' : 'open', source: 'launcher' });
+});
+
+ipcMain.on('launcher-hide', (event) => { if (isFromLauncher(event)) hideLauncher(); });
+
+ipcMain.handle('get-desktop-settings', () => ({ settings: desktopSettings, shortcutActive: !!registeredLauncherShortcut, loginItemsSupported: process.platform !== 'linux' }));
+
+ipcMain.handle('set-desktop-settings', async (event, settings = {}) => {
+    const shortcut = typeof settings.launcherShortcut === 'string' ? settings.launcherShortcut.trim() : '';
+    return await saveDesktopSettings({
+        trayEnabled: settings.trayEnabled === true,
+        closeToTray: settings.closeToTray === true,
+        launcherShortcut: shortcut,
+        openAtLogin: settings.openAtLogin === true
+    });
+});
+
+// --- Task Reminders ---
+// The renderer sends every open task that has a due date (see `set-task-reminders`). They are kept on disk with the due
+// time each one was last announced for, so a reminder fires once per due date, also for tasks that came due while the
+// app was closed. The timer wakes up at least hourly, so sleep or clock changes cannot delay a reminder for long.
+const taskRemindersPath = path.join(localCacheDirPath, 'task_reminders.json');
+const TASK_PRIORITIES = ['low', 'normal', 'high'];
+const TASK_RECURRENCES = ['daily', 'weekly', 'monthly'];
+const MAX_REMINDER_WAIT_MS = 60 * 60 * 1000;
+const MAX_SEPARATE_REMINDERS = 3; // More tasks coming due at once are announced in one notification
+let taskReminders = loadTaskReminders(); // { reminders: [{ id, text, dueAt, priority, attachments }], notified: { [id]: dueAt } }
+let taskReminderTimer = null;
+const shownTaskNotifications = new Set(); // Keeps notifications referenced so their click handlers survive garbage collection
+
+function loadTaskReminders() {
+    try {
+        if (fsSync.existsSync(taskRemindersPath)) {
+            const parsed = JSON.parse(fsSync.readFileSync(taskRemindersPath, 'utf-8'));
+            return { reminders: sanitizeTaskReminders(parsed.reminders), notified: parsed.notified && typeof parsed.notified === 'object' ? parsed.notified : {} };
+        }
+    } catch (err) {
+        log.error('[Tasks] Could not read task reminders, starting with none:', err.message);
+    }
+    return { reminders: [], notified: {} };
+}
+
+function sanitizeTaskReminders(reminders) {
+    return (Array.isArray(reminders) ? reminders : []).filter(r => r && typeof r.id === 'number' && typeof r.text === 'string' && Number.isFinite(r.dueAt)).map(r => ({
+        id: r.id, text: r.text.slice(0, 200), dueAt: r.dueAt,
+        priority: TASK_PRIORITIES.includes(r.priority) ? r.priority : 'normal',
+        attachments: typeof r.attachments === 'string' ? r.attachments.slice(0, 200) : ''
+    }));
+}
+
+function saveTaskReminders() {
+    return writeFileAtomic(taskRemindersPath, JSON.stringify(taskReminders, null, 2)).catch(err => log.error('[Tasks] Could not save task reminders:', err.message));
+}
+
+function showTaskNotification(title, body, taskIds) {
+    if (!Notification.isSupported()) return;
+    const notification = new Notification({ title, body, urgency: 'normal' });
+    const release = () => shownTaskNotifications.delete(notification);
+    notification.on('click', () => {
+        release();
+        focusMainWindow();
+        queueLaunchRequest({ project: null, category: null, item: null, tasks: taskIds, source: 'reminder', errors: [] });
     });
+    notification.on('close', release);
+    shownTaskNotifications.add(notification);
+    notification.show();
+}
+
+function fireDueTaskReminders() {
+    taskReminderTimer = null;
+    const now = Date.now();
+    const due = taskReminders.reminders.filter(r => r.dueAt <= now && taskReminders.notified[r.id] !== r.dueAt);
+    if (due.length > MAX_SEPARATE_REMINDERS) {
+        showTaskNotification(`${due.length} tasks are due`, due.slice(0, 5).map(r => `• ${r.text}`).join('\n') + (due.length > 5 ? '\n…' : ''), due.map(r => r.id));
+    } else {
+        due.forEach(r => {
+            const body = [`Due ${new Date(r.dueAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}`, r.attachments].filter(Boolean).join('\n');
+            showTaskNotification(`${r.priority === 'high' ? '❗ ' : ''}${r.text}`, body, [r.id]);
+        });
+    }
+    if (due.length > 0) {
+        due.forEach(r => { taskReminders.notified[r.id] = r.dueAt; });
+        saveTaskReminders();
+        log.info(`[Tasks] Sent reminders for ${due.length} task(s).`);
+    }
+    scheduleTaskReminders();
+}
+
+function scheduleTaskReminders() {
+    if (taskReminderTimer) clearTimeout(taskReminderTimer);
+    taskReminderTimer = null;
+    if (!app.isReady()) return;
+    const pending = taskReminders.reminders.filter(r => taskReminders.notified[r.id] !== r.dueAt);
+    if (pending.length === 0) return;
+    const nextDueAt = Math.min(...pending.map(r => r.dueAt));
+    taskReminderTimer = setTimeout(fireDueTaskReminders, Math.min(Math.max(nextDueAt - Date.now(), 0), MAX_REMINDER_WAIT_MS));
+}
+
+ipcMain.on('set-task-reminders', (event, reminders) => {
+    const next = sanitizeTaskReminders(reminders);
+    const notified = {};
+    next.forEach(r => { if (taskReminders.notified[r.id] !== undefined) notified[r.id] = taskReminders.notified[r.id]; });
+    if (JSON.stringify(next) === JSON.stringify(taskReminders.reminders) && Object.keys(notified).length === Object.keys(taskReminders.notified).length) return;
+    taskReminders = { reminders: next, notified };
+    saveTaskReminders();
+    scheduleTaskReminders();
 });
 
-app.on('window-all-closed', function () {
-    if (process.platform !== 'darwin') app.quit();
+const launchRequest = parseLaunchArgs(process.argv);
+const runsHeadless = isHeadlessLaunch(launchRequest);
+const hasInstanceLock = runsHeadless || app.requestSingleInstanceLock();
+
+if (runsHeadless) {
+    app.whenReady().then(() => runHeadlessCommand(launchRequest)).then(code => app.exit(code));
+} else if (!hasInstanceLock) {
+    log.info('[Launch] Another instance is running; forwarding arguments to it.');
+    app.quit();
+} else {
+    // In development the protocol has to be registered against `electron <app folder>`.
+    if (process.defaultApp) app.setAsDefaultProtocolClient(DEEP_LINK_PROTOCOL, process.execPath, [path.resolve(process.argv[1])]);
+    else app.setAsDefaultProtocolClient(DEEP_LINK_PROTOCOL);
+
+    app.on('second-instance', (event, argv, workingDirectory) => {
+        focusMainWindow();
+        queueLaunchRequest(parseLaunchArgs(argv, workingDirectory));
+    });
+    // macOS delivers links and opened files as events instead of arguments.
+    app.on('open-url', (event, url) => {
+        event.preventDefault();
+        const errors = [];
+        queueLaunchRequest({ ...parseLaunchArgs([process.execPath]), ...parseDeepLink(url, errors), errors });
+        focusMainWindow();
+    });
+    app.on('open-file', (event, filePath) => {
+        event.preventDefault();
+        queueLaunchRequest({ ...parseLaunchArgs([process.execPath]), project: filePath });
+        focusMainWindow();
+    });
+
+    app.whenReady().then(() => {
+        session.defaultSession.setPermissionRequestHandler((webContents, permission, callback) => callback(false));
+        queueLaunchRequest(launchRequest);
+        setupTray();
+        startHidden = wasStartedHidden();
+        registerLauncherShortcut(desktopSettings.launcherShortcut);
+        applyLoginItemSettings();
+        scheduleTaskReminders();
+        createWindow();
+        app.on('activate', function () {
+            if (BrowserWindow.getAllWindows().length === 0) createWindow();
+        });
+    });
+
+    app.on('window-all-closed', function () {
+        if (process.platform !== 'darwin') app.quit();
+    });
+    app.on('before-quit', () => { isQuitting = true; });
+    app.on('will-quit', () => globalShortcut.unregisterAll());
+}
+
+// The UI may come from the network, so it is never allowed to navigate away or open windows of its own.
+// Links meant for a new window are handed to the system browser instead.
+app.on('web-contents-created', (event, contents) => {
+    contents.on('will-navigate', (navigationEvent, url) => {
+        navigationEvent.preventDefault();
+        log.warn(`[Security] Blocked navigation to ${url}`);
+    });
+    contents.on('will-attach-webview', (webviewEvent) => webviewEvent.preventDefault());
+    contents.setWindowOpenHandler(({ url }) => {
+        if (isWebLocation(url)) shell.openExternal(url);
+        else log.warn(`[Security] Blocked window.open for ${url}`);
+        return { action: 'deny' };
+    });
 });
 
 // --- IPC Handlers ---
@@ -310,6 +986,7 @@ ipcMain.on('open-file-dialog-for-files', (event) => {
         properties: ['openFile', 'multiSelections'],
         filters: [ { name: 'Adobe Project Files', extensions: ['psd', 'aep', 'prproj'] }, { name: 'All Files', extensions: ['*'] } ]
     }).then(result => {
+        if (!result.canceled) approvePaths(result.filePaths, 'file dialog');
         event.sender.send('selected-files-for-files', (!result.canceled && result.filePaths.length > 0) ? result.filePaths : []);
     }).catch(err => { log.error('[IPC] Error opening file dialog (for files):', err); event.sender.send('selected-files-for-files', []); });
 });
@@ -318,26 +995,124 @@ ipcMain.on('open-folder-dialog-for-link', (event) => {
     if (!mainWindow) return;
     dialog.showOpenDialog(mainWindow, { properties: ['openDirectory', 'multiSelections'] })
     .then(result => {
+        if (!result.canceled) approvePaths(result.filePaths, 'folder dialog');
         event.sender.send('selected-folder-for-link', (!result.canceled && result.filePaths.length > 0) ? result.filePaths : []);
     }).catch(err => { log.error('[IPC] Error opening folder dialog (for link):', err); event.sender.send('selected-folder-for-link', []); });
 });
 
-ipcMain.on('open-folder-dialog-for-import', (event) => {
+// --- Folder Import ---
+// Matches are streamed to the renderer in chunks while the tree is walked, so very large folders show up progressively
+// and can be cancelled. Events: folder-import-started, folder-import-chunk, folder-import-finished (all carry a jobId).
+const FOLDER_IMPORT_CHUNK_SIZE = 200;
+const FOLDER_IMPORT_MAX_MATCHES = 50000;
+const SYSTEM_FILE_NAMES = ['thumbs.db', 'desktop.ini', '.ds_store', '$recycle.bin', 'system volume information', '.spotlight-v100', '.trashes', '.fseventsd'];
+const folderImportJobs = new Map(); // jobId -> { cancelled }
+let nextFolderImportJobId = 1;
+
+function normalizeExtensionList(list) {
+    return (Array.isArray(list) ? list : []).filter(e => typeof e === 'string' && e.trim() !== '').map(e => {
+        const ext = e.trim().toLowerCase();
+        return ext.startsWith('.') ? ext : `.${ext}`;
+    });
+}
+
+function normalizeFolderImportOptions(options = {}) {
+    const toNumberOrNull = value => (typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : null);
+    return {
+        maxDepth: toNumberOrNull(options.maxDepth), // 0 = top level only, null = unlimited
+        includeExtensions: normalizeExtensionList(options.includeExtensions),
+        excludeExtensions: normalizeExtensionList(options.excludeExtensions),
+        minSize: toNumberOrNull(options.minSize),
+        maxSize: toNumberOrNull(options.maxSize),
+        modifiedSince: toNumberOrNull(options.modifiedSince),
+        skipHidden: options.skipHidden !== false
+    };
+}
+
+function isHiddenOrSystemName(name) {
+    return name.startsWith('.') || SYSTEM_FILE_NAMES.includes(name.toLowerCase());
+}
+
+function fileMatchesImportFilters(name, stats, options) {
+    const ext = path.extname(name).toLowerCase();
+    if (options.includeExtensions.length > 0 && !options.includeExtensions.includes(ext)) return false;
+    if (options.excludeExtensions.includes(ext)) return false;
+    if (options.minSize !== null && stats.size < options.minSize) return false;
+    if (options.maxSize !== null && stats.size > options.maxSize) return false;
+    if (options.modifiedSince !== null && stats.mtimeMs < options.modifiedSince) return false;
+    return true;
+}
+
+async function runFolderImportJob(sender, jobId, rootPath, options) {
+    const job = folderImportJobs.get(jobId);
+    const send = (channel, payload) => { if (!sender.isDestroyed()) sender.send(channel, { jobId, ...payload }); };
+    let pending = [], matched = 0, scanned = 0, truncated = false;
+    const stack = [{ dir: rootPath, depth: 0 }];
+    try {
+        while (stack.length > 0 && !job.cancelled && !truncated) {
+            const { dir, depth } = stack.pop();
+            const dirents = await fs.readdir(dir, { withFileTypes: true }).catch(err => {
+                if (dir === rootPath) throw err;
+                log.warn(`[Folder Import] Skipping unreadable folder ${dir}: ${err.code || err.message}`);
+                return [];
+            });
+            for (const dirent of dirents) {
+                if (job.cancelled) break;
+                if (options.skipHidden && isHiddenOrSystemName(dirent.name)) continue;
+                const fullPath = path.join(dir, dirent.name);
+                if (dirent.isDirectory()) {
+                    if (options.maxDepth === null || depth < options.maxDepth) stack.push({ dir: fullPath, depth: depth + 1 });
+                    continue;
+                }
+                if (!dirent.isFile()) continue;
+                scanned++;
+                const stats = await fs.stat(fullPath).catch(() => null);
+                if (!stats || !fileMatchesImportFilters(dirent.name, stats, options)) continue;
+                pending.push({ path: fullPath, name: dirent.name, size: stats.size, mtimeMs: stats.mtimeMs });
+                matched++;
+                if (pending.length >= FOLDER_IMPORT_CHUNK_SIZE) { send('folder-import-chunk', { items: pending, scanned }); pending = []; }
+                if (matched >= FOLDER_IMPORT_MAX_MATCHES) { truncated = true; break; }
+            }
+        }
+        if (pending.length > 0) send('folder-import-chunk', { items: pending, scanned });
+        log.info(`[Folder Import] ${rootPath}: ${matched} match(es) of ${scanned} file(s)${job.cancelled ? ' (cancelled)' : ''}.`);
+        send('folder-import-finished', { matched, scanned, cancelled: job.cancelled, truncated });
+    } catch (err) {
+        log.error('[Folder Import] Error reading folder for import:', err);
+        send('folder-import-finished', { matched, scanned, cancelled: false, truncated, error: err.message });
+    } finally {
+        folderImportJobs.delete(jobId);
+    }
+}
+
+ipcMain.on('open-folder-dialog-for-import', (event, options) => {
     if (!mainWindow) return;
     dialog.showOpenDialog(mainWindow, { properties: ['openDirectory'] })
     .then(result => {
-        if (!result.canceled && result.filePaths.length > 0) {
-            const folderPath = result.filePaths[0];
-            fs.readdir(folderPath, { withFileTypes: true })
-              .then(dirents => {
-                  const filesInFolder = dirents.filter(d => d.isFile()).map(d => ({ path: path.join(folderPath, d.name), name: d.name }));
-                  event.sender.send('selected-folder-for-import', filesInFolder);
-              }).catch(err => { log.error('[IPC] Error reading folder for import:', err); event.sender.send('selected-folder-for-import', []); });
-        } else { event.sender.send('selected-folder-for-import', []); }
-    }).catch(err => { log.error('[IPC] Error opening folder dialog for import:', err); event.sender.send('selected-folder-for-import', []); });
-});
-
-ipcMain.on('process-pasted-path', (event, pastedPath) => {
+        if (result.canceled || result.filePaths.length === 0) return;
+        const rootPath = result.filePaths[0];
+        approvePaths([rootPath], 'folder import dialog');
+        const jobId = nextFolderImportJobId++;
+        folderImportJobs.set(jobId, { cancelled: false });
+        event.sender.send('folder-import-started', { jobId, rootPath });
+        runFolderImportJob(event.sender, jobId, rootPath, normalizeFolderImportOptions(options));
+    }).catch(err => { log.error('[IPC] Error opening folder dialog for import:', err); });
+});
+
+ipcMain.on('cancel-folder-import', (event, jobId) => {
+    const job = folderImportJobs.get(jobId);
+    if (job) job.cancelled = true;
+});
+
+// The paste button sends `{ fromClipboard: true }`: the clipboard is read here, never by the page, and its text reaches
+// the page only after the user confirmed it in a native prompt. That confirmation also approves the pasted path exactly.
+ipcMain.on('process-pasted-path', async (event, pastedPath) => {
+    const fromClipboard = pastedPath !== null && typeof pastedPath === 'object' && pastedPath.fromClipboard === true;
+    if (fromClipboard) {
+        pastedPath = clipboard.readText().trim();
+        if (pastedPath === '') return event.sender.send('pasted-path-error', { message: 'Clipboard is empty.' });
+        if (!(await confirmClipboardPaste(pastedPath))) return event.sender.send('pasted-path-error', { message: 'Pasting from the clipboard was cancelled.' });
+    }
     if (!pastedPath || typeof pastedPath !== 'string' || pastedPath.trim() === '') {
         return event.sender.send('pasted-path-error', { message: 'Pasted path is invalid or empty.', originalPath: pastedPath });
     }
@@ -347,54 +1122,1509 @@ ipcMain.on('process-pasted-path', (event, pastedPath) => {
         event.sender.send('pasted-path-processed', { items: items, originalPath: pastedPath });
         return;
     }
-    fs.stat(pastedPath)
-      .then(stats => {
-          const items = [];
-          if (stats.isFile()) { items.push({ path: pastedPath, name: path.basename(pastedPath), entryType: 'file' }); }
-          else if (stats.isDirectory()) { items.push({ path: pastedPath, name: path.basename(pastedPath), entryType: 'folderLink' }); }
-          else { return event.sender.send('pasted-path-error', { message: 'Path is not a file or directory.', originalPath: pastedPath }); }
+    const { path: resolvedPastedPath, unresolved } = resolveItemLocation(pastedPath, null);
+    if (unresolved.length > 0) {
+        return event.sender.send('pasted-path-error', { message: `Path variable(s) not defined on this machine: ${unresolved.join(', ')}.`, originalPath: pastedPath });
+    }
+    if (fromClipboard) approvePaths([resolvedPastedPath], 'pasted from the clipboard', { exact: true });
+    // Typed, the path comes from the page, so it is always confirmed natively.
+    requestPathAccess([resolvedPastedPath], 'add this path to your list')
+      .then(allowed => {
+          if (!allowed) throw new Error('Access to this path was not approved.');
+          return statLocalPath(resolvedPastedPath);
+      })
+      .then(result => {
+          if (result.status !== 'ok') { return event.sender.send('pasted-path-error', { message: 'Path not found or inaccessible.', originalPath: pastedPath }); }
+          if (!result.entryType) { return event.sender.send('pasted-path-error', { message: 'Path is not a file or directory.', originalPath: pastedPath }); }
+          const items = [{ path: pastedPath, name: path.basename(pastedPath), entryType: result.entryType }];
           event.sender.send('pasted-path-processed', { items: items, originalPath: pastedPath });
       })
-      .catch(err => event.sender.send('pasted-path-error', { message: 'Path not found or inaccessible.', originalPath: pastedPath }));
+      .catch(err => event.sender.send('pasted-path-error', { message: err.message, originalPath: pastedPath }));
 });
 
-// Window Controls IPC
-ipcMain.on('minimize-window', () => { if (mainWindow && !mainWindow.isDestroyed()) mainWindow.minimize(); });
-ipcMain.on('close-window', () => { if (mainWindow && !mainWindow.isDestroyed()) mainWindow.close(); });
+// --- Path Variables & Portable Locations ---
+// Item locations may contain ~, ${PROJECT_ROOT}, ${HOME} or user-defined ${NAME} variables. They are stored
+// unexpanded and resolved only when a path is used, so each machine can point the same variable elsewhere.
+// Variable definitions live in userData, never in the .hpmt file.
+const pathVariablesFilePath = path.join(localCacheDirPath, 'path_variables.json');
+const PATH_VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const BUILT_IN_PATH_VARIABLES = ['PROJECT_ROOT', 'HOME'];
+let pathVariables = loadPathVariables();
 
-// File Operations IPC Handlers
-ipcMain.handle('save-dialog', async (event, data) => {
-    if (!mainWindow) throw new Error('Main window not available for save dialog.');
-    const { filePath, canceled } = await dialog.showSaveDialog(mainWindow, {
-        title: 'Save Project As',
-        defaultPath: path.join(app.getPath('documents'), 'myProject.hpmt'),
-        filters: [{ name: 'Hemo Paths Manager Files', extensions: ['hpmt'] }]
+function loadPathVariables() {
+    try {
+        if (!fsSync.existsSync(pathVariablesFilePath)) return {};
+        const parsed = JSON.parse(fsSync.readFileSync(pathVariablesFilePath, 'utf-8'));
+        const variables = {};
+        Object.entries(parsed || {}).forEach(([name, value]) => {
+            if (PATH_VARIABLE_NAME_PATTERN.test(name) && !BUILT_IN_PATH_VARIABLES.includes(name) && typeof value === 'string') variables[name] = value;
+        });
+        return variables;
+    } catch (err) {
+        log.error('[Path Variables] Could not read path variables, starting with none:', err.message);
+        return {};
+    }
+}
+
+function isWebLocation(location) { return /^https?:\/\//i.test(location); }
+function isVariableLocation(location) { return location.startsWith('~') || location.includes('${'); }
+
+function expandPathVariables(location, projectRoot) {
+    const unresolved = [];
+    const expanded = location
+        .replace(/^~(?=$|[\\/])/, () => app.getPath('home'))
+        .replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => {
+            if (name === 'PROJECT_ROOT' && projectRoot) return projectRoot;
+            if (name === 'HOME') return app.getPath('home');
+            if (Object.prototype.hasOwnProperty.call(pathVariables, name)) return pathVariables[name];
+            unresolved.push(name);
+            return match;
+        });
+    return { expanded, unresolved };
+}
+
+// Returns { path, unresolved }: the absolute path to use on this machine, plus any variable names that are not defined here.
+function resolveItemLocation(location, projectFilePath) {
+    if (typeof location !== 'string' || isWebLocation(location)) return { path: location, unresolved: [] };
+    const projectRoot = projectFilePath && path.isAbsolute(projectFilePath) ? path.dirname(projectFilePath) : null;
+    const { expanded, unresolved } = expandPathVariables(location, projectRoot);
+    if (unresolved.length > 0) return { path: expanded, unresolved };
+    if (!path.isAbsolute(expanded) && projectRoot) return { path: path.resolve(projectRoot, expanded), unresolved };
+    return { path: path.normalize(expanded), unresolved };
+}
+
+// Used when saving with "store paths relative to the project file": locations outside the project's drive stay absolute.
+function toProjectRelativeLocation(location, projectDir) {
+    if (typeof location !== 'string' || isWebLocation(location) || isVariableLocation(location) || !path.isAbsolute(location)) return location;
+    const relative = path.relative(projectDir, location);
+    if (!relative || path.isAbsolute(relative)) return location;
+    return relative.split(path.sep).join('/');
+}
+
+function fromProjectRelativeLocation(location, projectDir) {
+    if (typeof location !== 'string' || isWebLocation(location) || isVariableLocation(location) || path.isAbsolute(location)) return location;
+    return path.resolve(projectDir, location);
+}
+
+ipcMain.handle('get-path-variables', async () => ({ variables: { ...pathVariables }, builtIn: BUILT_IN_PATH_VARIABLES }));
+
+ipcMain.handle('set-path-variables', async (event, variables) => {
+    if (!variables || typeof variables !== 'object') throw new Error('Path variables must be an object of name/path pairs.');
+    const cleaned = {};
+    Object.entries(variables).forEach(([name, value]) => {
+        if (!PATH_VARIABLE_NAME_PATTERN.test(name)) throw new Error(`"${name}" is not a valid variable name. Use letters, digits and underscores.`);
+        if (BUILT_IN_PATH_VARIABLES.includes(name)) throw new Error(`"${name}" is a built-in variable and cannot be redefined.`);
+        if (typeof value !== 'string' || value.trim() === '') throw new Error(`Variable "${name}" needs a folder path.`);
+        cleaned[name] = value.trim();
     });
-    if (canceled || !filePath) return null;
-    await fs.writeFile(filePath, data, 'utf-8');
-    return filePath;
+    await fs.writeFile(pathVariablesFilePath, JSON.stringify(cleaned, null, 2), 'utf-8');
+    pathVariables = cleaned;
+    log.info(`[Path Variables] Saved ${Object.keys(cleaned).length} variable(s).`);
+    return { variables: { ...pathVariables }, builtIn: BUILT_IN_PATH_VARIABLES };
 });
 
-ipcMain.handle('save-file', async (event, { filePath, data }) => {
-    if (!filePath) throw new Error('File path not provided for saving.');
-    await fs.writeFile(filePath, data, 'utf-8');
-    return filePath;
+ipcMain.handle('resolve-item-locations', async (event, { locations, projectFilePath } = {}) => {
+    if (!Array.isArray(locations)) throw new Error('Locations to resolve were not provided.');
+    return locations.map(location => resolveItemLocation(location, projectFilePath));
 });
 
-ipcMain.handle('open-dialog-for-hpmt', async (event) => {
-    if (!mainWindow) throw new Error('Main window not available for open dialog.');
-    const { filePaths, canceled } = await dialog.showOpenDialog(mainWindow, {
-        title: 'Import Project File',
-        properties: ['openFile'],
-        filters: [{ name: 'Hemo Paths Manager Files', extensions: ['hpmt'] }]
-    });
-    if (canceled || filePaths.length === 0) return null;
-    const filePath = filePaths[0];
-    const content = await fs.readFile(filePath, 'utf-8');
-    return { filePath, content };
-});
+// --- Path Access Scope ---
+// The UI can be loaded from the network, so the main process only touches paths the user has approved: anything picked in
+// a native dialog or dropped onto the window, project files opened that way, and paths confirmed in a native prompt.
+// Approving a folder covers everything below it. Item locations listed in an opened project are only approved exactly,
+// since the file's contents are not the user's choice; watching a folder always needs a folder approval.
+// Approvals persist in userData.
+const approvedPathsFilePath = path.join(localCacheDirPath, 'approved_paths.json');
+const MAX_PROMPT_LISTED_PATHS = 5;
+let approvedPaths = loadApprovedPaths(); // { folders: Set, exact: Set } of scope keys
+const deniedPaths = new Set(); // Background checks do not ask again for these until the app restarts
+let pathAccessPrompt = Promise.resolve();
+let approvedPathsWrite = Promise.resolve();
 
-ipcMain.handle('read-file', async (event, filePath) => {
-    if (!filePath) throw new Error('File path not provided for reading.');
-    return await fs.readFile(filePath, 'utf-8');
+function scopeKey(p) {
+    const resolved = path.resolve(p);
+    return process.platform === 'linux' ? resolved : resolved.toLowerCase();
+}
+
+// Older versions stored a plain array of folder approvals.
+function loadApprovedPaths() {
+    const toKeys = list => new Set((Array.isArray(list) ? list : []).filter(p => typeof p === 'string' && path.isAbsolute(p)).map(scopeKey));
+    try {
+        if (!fsSync.existsSync(approvedPathsFilePath)) return { folders: new Set(), exact: new Set() };
+        const parsed = JSON.parse(fsSync.readFileSync(approvedPathsFilePath, 'utf-8'));
+        if (Array.isArray(parsed)) return { folders: toKeys(parsed), exact: new Set() };
+        return { folders: toKeys(parsed && parsed.folders), exact: toKeys(parsed && parsed.exact) };
+    } catch (err) {
+        log.error('[Path Scope] Could not read approved paths, starting with none:', err.message);
+        return { folders: new Set(), exact: new Set() };
+    }
+}
+
+// `tree` asks whether everything below `p` is approved, e.g. before watching or reading a folder's contents.
+function isPathApproved(p, { tree = false } = {}) {
+    if (typeof p !== 'string' || !path.isAbsolute(p)) return false;
+    if (!tree && approvedPaths.exact.has(scopeKey(p))) return true;
+    for (let current = scopeKey(p); ; current = path.dirname(current)) {
+        if (approvedPaths.folders.has(current)) return true;
+        if (path.dirname(current) === current) return false;
+    }
+}
+
+function approvePaths(paths, reason, { exact = false } = {}) {
+    const added = [...new Set(paths)].filter(p => typeof p === 'string' && path.isAbsolute(p) && !isPathApproved(p, { tree: !exact }));
+    if (added.length === 0) return;
+    added.forEach(p => { approvedPaths[exact ? 'exact' : 'folders'].add(scopeKey(p)); deniedPaths.delete(scopeKey(p)); });
+    log.info(`[Path Scope] Approved ${added.length} path(s)${exact ? ' exactly' : ''} (${reason}).`);
+    const snapshot = JSON.stringify({ folders: [...approvedPaths.folders], exact: [...approvedPaths.exact] }, null, 2);
+    approvedPathsWrite = approvedPathsWrite.then(() => writeFileAtomic(approvedPathsFilePath, snapshot))
+        .catch(err => log.error('[Path Scope] Could not save approved paths:', err.message));
+}
+
+// Approves exactly the resolved location of every local item in a project the user chose to open, never what is below it.
+function approveProjectItemLocations(projectData, projectFilePath) {
+    if (!projectData || !Array.isArray(projectData.projectFiles)) return;
+    const locations = projectData.projectFiles
+        .filter(item => item && typeof item.location === 'string' && !isWebLocation(item.location))
+        .map(item => resolveItemLocation(item.location, projectFilePath))
+        .filter(resolved => resolved.unresolved.length === 0)
+        .map(resolved => resolved.path);
+    approvePaths(locations, `listed in ${path.basename(projectFilePath)}`, { exact: true });
+}
+
+// Asks once (natively, so the page cannot fake it) for every path not approved yet. Prompts are queued so that
+// one answer also covers later requests for the same paths. `background` requests skip paths denied this session.
+// Allowing approves exactly the listed paths; only `tree` requests, which need everything below the folders, approve
+// the whole folder tree, and their prompt says so.
+function requestPathAccess(paths, action, { background = false, tree = false } = {}) {
+    const run = async () => {
+        const pending = [...new Set(paths.filter(p => typeof p === 'string' && !isPathApproved(p, { tree })))]
+            .filter(p => !(background && deniedPaths.has(scopeKey(p))));
+        if (pending.length === 0) return paths.every(p => isPathApproved(p, { tree }));
+        if (!mainWindow || mainWindow.isDestroyed()) return false;
+        const parent = mainWindow.isVisible() ? mainWindow : null; // From the tray or launcher the window may be hidden
+        const listed = pending.slice(0, MAX_PROMPT_LISTED_PATHS).join('\n') + (pending.length > MAX_PROMPT_LISTED_PATHS ? `\n…and ${pending.length - MAX_PROMPT_LISTED_PATHS} more` : '');
+        const options = {
+            type: 'question', buttons: ['Allow', 'Deny'], defaultId: 1, cancelId: 1, title: 'Allow Access',
+            message: `Allow HemoPaths to ${action}?`,
+            detail: `${pending.length === 1 ? 'This path has' : 'These paths have'} not been approved on this computer yet:\n${listed}`
+                + (tree ? `\n\nThis also allows access to everything inside ${pending.length === 1 ? 'this folder' : 'these folders'}.` : '')
+        };
+        const { response } = await (parent ? dialog.showMessageBox(parent, options) : dialog.showMessageBox(options));
+        if (response !== 0) {
+            pending.forEach(p => deniedPaths.add(scopeKey(p)));
+            log.warn(`[Path Scope] User denied access to ${pending.length} path(s) (${action}).`);
+            return false;
+        }
+        approvePaths(pending, 'confirmed by user', { exact: !tree });
+        return true;
+    };
+    const result = pathAccessPrompt.then(run);
+    pathAccessPrompt = result.catch(() => {});
+    return result;
+}
+
+const MAX_PROMPT_CLIPBOARD_LENGTH = 300;
+
+function confirmClipboardPaste(text) {
+    const run = async () => {
+        if (!mainWindow || mainWindow.isDestroyed()) return false;
+        const parent = mainWindow.isVisible() ? mainWindow : null;
+        const shown = text.length > MAX_PROMPT_CLIPBOARD_LENGTH ? `${text.slice(0, MAX_PROMPT_CLIPBOARD_LENGTH)}…` : text;
+        const options = {
+            type: 'question', buttons: ['Paste', 'Cancel'], defaultId: 0, cancelId: 1, title: 'Paste from Clipboard',
+            message: 'Add this from your clipboard to your list?', detail: shown
+        };
+        const { response } = await (parent ? dialog.showMessageBox(parent, options) : dialog.showMessageBox(options));
+        return response === 0;
+    };
+    const result = pathAccessPrompt.then(run);
+    pathAccessPrompt = result.catch(() => {});
+    return result;
+}
+
+async function assertPathAccess(paths, action) {
+    if (!(await requestPathAccess(paths, action))) throw new Error('Access to this path was not approved.');
+}
+
+// Paths of files dropped onto the window come from the preload script (webUtils), never from page code.
+ipcMain.on('approve-dropped-paths', (event, paths) => {
+    if (Array.isArray(paths)) approvePaths(paths, 'dropped onto the window');
+});
+
+ipcMain.handle('open-path', async (event, targetPath) => {
+    if (typeof targetPath !== 'string' || !path.isAbsolute(targetPath)) throw new Error('An absolute path is required.');
+    await assertPathAccess([targetPath], `open "${path.basename(targetPath)}"`);
+    return shell.openPath(targetPath); // Resolves to an error message, or '' on success
+});
+
+ipcMain.handle('reveal-path', async (event, targetPath) => {
+    if (typeof targetPath !== 'string' || !path.isAbsolute(targetPath)) throw new Error('An absolute path is required.');
+    await assertPathAccess([targetPath], `show "${path.basename(targetPath)}" in its folder`);
+    shell.showItemInFolder(targetPath);
+});
+
+ipcMain.handle('open-external', async (event, url) => {
+    if (typeof url !== 'string' || !isWebLocation(url)) throw new Error('Only http(s) links can be opened.');
+    await shell.openExternal(url);
+});
+
+// --- Launch Profiles ---
+// An item (or its category) may name the application that opens it, with arguments, a working directory and whether
+// it waits for the previous item in a sequence to finish opening. Items without a profile open with the OS default app.
+// Arguments may use {path}, {name} and {dir}; when none uses {path}, the item's path is appended as the last argument.
+// Profiles can arrive in any project file, so each distinct command (application, arguments and working directory) runs
+// only after it was confirmed in a native prompt that shows the whole command line. Path approvals never cover it.
+const MAX_LAUNCH_INTERVAL_SECONDS = 60;
+const approvedLaunchCommandsFilePath = path.join(localCacheDirPath, 'approved_launch_commands.json');
+let nextLaunchRunId = 1;
+let approvedLaunchCommands = loadApprovedLaunchCommands(); // Map of launchCommandKey() → { executable, args, workingDirectory }
+let approvedLaunchCommandsWrite = Promise.resolve();
+
+function launchCommandKey(profile) {
+    return JSON.stringify([scopeKey(profile.executable), profile.args, profile.workingDirectory ? scopeKey(profile.workingDirectory) : null]);
+}
+
+function loadApprovedLaunchCommands() {
+    try {
+        if (!fsSync.existsSync(approvedLaunchCommandsFilePath)) return new Map();
+        const parsed = JSON.parse(fsSync.readFileSync(approvedLaunchCommandsFilePath, 'utf-8'));
+        const commands = (Array.isArray(parsed) ? parsed : []).filter(c => c && typeof c.executable === 'string' && path.isAbsolute(c.executable) && Array.isArray(c.args) && c.args.every(arg => typeof arg === 'string'))
+            .map(c => ({ executable: c.executable, args: c.args, workingDirectory: typeof c.workingDirectory === 'string' && path.isAbsolute(c.workingDirectory) ? c.workingDirectory : null }));
+        return new Map(commands.map(c => [launchCommandKey(c), c]));
+    } catch (err) {
+        log.error('[Launch] Could not read approved launch commands, starting with none:', err.message);
+        return new Map();
+    }
+}
+
+function formatLaunchCommand(profile) {
+    const quote = arg => arg === '' || /[\s"]/.test(arg) ? `"${arg.replace(/"/g, '\\"')}"` : arg;
+    const args = profile.args.some(arg => arg.includes('{path}')) ? profile.args : [...profile.args, '{path}'];
+    return [profile.executable, ...args].map(quote).join(' ') + (profile.workingDirectory ? `\n    in ${profile.workingDirectory}` : '');
+}
+
+// Asks natively to run every command not confirmed yet; shares the path prompt queue so dialogs never overlap.
+function requestLaunchCommandApproval(profiles) {
+    const run = async () => {
+        const pending = [...new Map(profiles.filter(p => !approvedLaunchCommands.has(launchCommandKey(p))).map(p => [launchCommandKey(p), p])).values()];
+        if (pending.length === 0) return true;
+        if (!mainWindow || mainWindow.isDestroyed()) return false;
+        const parent = mainWindow.isVisible() ? mainWindow : null;
+        const listed = pending.slice(0, MAX_PROMPT_LISTED_PATHS).map(formatLaunchCommand).join('\n\n') + (pending.length > MAX_PROMPT_LISTED_PATHS ? `\n\n…and ${pending.length - MAX_PROMPT_LISTED_PATHS} more` : '');
+        const options = {
+            type: 'warning', buttons: ['Run', 'Cancel'], defaultId: 1, cancelId: 1, title: 'Run Launch Profile',
+            message: `Allow HemoPaths to run ${pending.length === 1 ? 'this command' : `these ${pending.length} commands`}?`,
+            detail: `Launch profiles start programs with any arguments, and a project file from someone else can contain any command. Only allow commands you recognize; {path} stands for the item being opened.\n\n${listed}`
+        };
+        const { response } = await (parent ? dialog.showMessageBox(parent, options) : dialog.showMessageBox(options));
+        if (response !== 0) { log.warn(`[Launch] User did not approve ${pending.length} launch command(s).`); return false; }
+        pending.forEach(p => approvedLaunchCommands.set(launchCommandKey(p), { executable: p.executable, args: p.args, workingDirectory: p.workingDirectory }));
+        log.info(`[Launch] Approved ${pending.length} launch command(s).`);
+        const snapshot = JSON.stringify([...approvedLaunchCommands.values()], null, 2);
+        approvedLaunchCommandsWrite = approvedLaunchCommandsWrite.then(() => writeFileAtomic(approvedLaunchCommandsFilePath, snapshot))
+            .catch(err => log.error('[Launch] Could not save approved launch commands:', err.message));
+        return true;
+    };
+    const result = pathAccessPrompt.then(run);
+    pathAccessPrompt = result.catch(() => {});
+    return result;
+}
+
+function normalizeLaunchProfile(profile, projectFilePath) {
+    if (!profile || typeof profile !== 'object' || typeof profile.executable !== 'string' || profile.executable.trim() === '') return null;
+    const executable = resolveItemLocation(profile.executable.trim(), projectFilePath);
+    const workingDirectory = typeof profile.workingDirectory === 'string' && profile.workingDirectory.trim() !== ''
+        ? resolveItemLocation(profile.workingDirectory.trim(), projectFilePath) : null;
+    return {
+        executable: executable.path,
+        args: Array.isArray(profile.args) ? profile.args.filter(arg => typeof arg === 'string') : [],
+        workingDirectory: workingDirectory ? workingDirectory.path : null,
+        waitForPrevious: profile.waitForPrevious === true,
+        unresolved: [...executable.unresolved, ...(workingDirectory ? workingDirectory.unresolved : [])]
+    };
+}
+
+function buildLaunchCommand(profile, targetPath) {
+    const placeholders = { path: targetPath, name: path.basename(targetPath), dir: isWebLocation(targetPath) ? '' : path.dirname(targetPath) };
+    const args = profile.args.map(arg => arg.replace(/\{(path|name|dir)\}/g, (match, key) => placeholders[key]));
+    if (!profile.args.some(arg => arg.includes('{path}'))) args.push(targetPath);
+    // macOS application bundles are folders; `open -a` starts them and passes the arguments through.
+    if (process.platform === 'darwin' && /\.app\/?$/i.test(profile.executable)) return { command: 'open', args: ['-n', '-a', profile.executable, '--args', ...args] };
+    if (process.platform === 'win32' && /\.(bat|cmd)$/i.test(profile.executable)) return buildBatchCommand(profile.executable, args);
+    return { command: profile.executable, args };
+}
+
+// Node refuses to spawn .bat/.cmd files directly (CVE-2024-27980), so they run through `cmd.exe /d /s /c`. cmd.exe parses
+// the line itself: each argument is quoted for the C runtime, then every cmd metacharacter (quotes included) is escaped with ^.
+const CMD_META_CHARS = /([()\][%!^"`<>&|;, *?])/g;
+
+function quoteBatchArgument(arg) {
+    const quoted = `"${arg.replace(/(\\*)"/g, '$1$1\\"').replace(/(\\*)$/, '$1$1')}"`;
+    return quoted.replace(CMD_META_CHARS, '^$1');
+}
+
+function buildBatchCommand(executable, args) {
+    if (args.some(arg => /[\r\n]/.test(arg))) throw new Error('Arguments passed to a batch file cannot contain line breaks.');
+    const line = [executable.replace(CMD_META_CHARS, '^$1'), ...args.map(quoteBatchArgument)].join(' ');
+    return { command: process.env.ComSpec || 'cmd.exe', args: ['/d', '/s', '/c', `"${line}"`], verbatim: true };
+}
+
+function spawnDetached({ command, args, verbatim = false }, cwd) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { cwd: cwd || undefined, detached: true, stdio: 'ignore', windowsHide: false, windowsVerbatimArguments: verbatim });
+        child.once('error', reject);
+        child.once('spawn', () => { child.unref(); resolve(child.pid); });
+    });
+}
+
+// Opens one item and resolves to its outcome; never rejects.
+async function launchItem(item, projectFilePath) {
+    const outcome = { id: item.id, name: item.name, method: item.profile ? 'profile' : 'default', ok: false, message: '' };
+    try {
+        const isWeb = item.entryType === 'websiteLink';
+        if (isWeb && !isWebLocation(item.location)) throw new Error('Only http(s) links can be opened.');
+        const target = isWeb ? { path: item.location, unresolved: [] } : resolveItemLocation(item.location, projectFilePath);
+        const unresolved = [...target.unresolved, ...(item.profile ? item.profile.unresolved : [])];
+        if (unresolved.length > 0) throw new Error(`Path variable(s) not defined on this machine: ${unresolved.join(', ')}.`);
+        if (!isWeb && !isPathApproved(target.path)) throw new Error('Access to this path was not approved.');
+        if (!item.profile) {
+            if (isWeb) await shell.openExternal(target.path);
+            else { const errorMessage = await shell.openPath(target.path); if (errorMessage) throw new Error(errorMessage.split('\n')[0]); }
+        } else {
+            if (!path.isAbsolute(item.profile.executable)) throw new Error('The launch profile needs the full path of the application.');
+            if (!approvedLaunchCommands.has(launchCommandKey(item.profile))) throw new Error('Running this launch profile was not approved.');
+            const cwd = item.profile.workingDirectory || (isWeb ? null : (item.entryType === 'file' ? path.dirname(target.path) : target.path));
+            if (cwd && (await statLocalPath(cwd)).entryType !== 'folderLink') throw new Error(`Working directory not found: ${cwd}`);
+            outcome.pid = await spawnDetached(buildLaunchCommand(item.profile, target.path), cwd);
+        }
+        outcome.ok = true;
+    } catch (err) {
+        outcome.message = err.code === 'ENOENT' ? `Application not found: ${item.profile ? item.profile.executable : err.message}` : err.message;
+    }
+    return outcome;
+}
+
+// Opens items in the given order, `interval` seconds apart. An item whose profile sets waitForPrevious also waits until
+// the item before it has opened (its process started, or the OS reported the file open). Each outcome is sent to the
+// renderer as `launch-item-result` as soon as it is known.
+ipcMain.handle('launch-items', async (event, { items, projectFilePath, interval } = {}) => {
+    if (!Array.isArray(items)) throw new Error('Items to open were not provided.');
+    const runId = nextLaunchRunId++;
+    const delayMs = Math.min(Math.max(Number(interval) || 0, 0), MAX_LAUNCH_INTERVAL_SECONDS) * 1000;
+    const plan = items.filter(item => item && typeof item.location === 'string' && ENTRY_TYPES.includes(item.entryType))
+        .map(item => ({ id: item.id, name: String(item.name || item.location), location: item.location, entryType: item.entryType, profile: normalizeLaunchProfile(item.launchProfile, projectFilePath) }));
+    const localPaths = plan.filter(item => item.entryType !== 'websiteLink').map(item => resolveItemLocation(item.location, projectFilePath))
+        .filter(r => r.unresolved.length === 0).map(r => r.path);
+    const profiles = plan.filter(item => item.profile && item.profile.unresolved.length === 0 && path.isAbsolute(item.profile.executable)).map(item => item.profile);
+    await requestPathAccess(localPaths, `open ${localPaths.length === 1 ? 'this item' : `${localPaths.length} items`}`);
+    if (profiles.length > 0) await requestLaunchCommandApproval(profiles);
+    log.info(`[Launch] Run ${runId}: opening ${plan.length} item(s), ${plan.filter(item => item.profile).length} with a launch profile.`);
+    const launches = [];
+    for (const [index, item] of plan.entries()) {
+        if (index > 0) {
+            if (item.profile && item.profile.waitForPrevious) await launches[index - 1];
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+        launches.push(launchItem(item, projectFilePath).then(outcome => {
+            if (!outcome.ok) log.warn(`[Launch] Run ${runId}: could not open "${outcome.name}": ${outcome.message}`);
+            // Toasts are invisible while the window is hidden (tray / launcher use), so failures become desktop notifications.
+            if (!outcome.ok && !(mainWindow && !mainWindow.isDestroyed() && mainWindow.isVisible()) && Notification.isSupported()) {
+                new Notification({ title: `Could not open "${outcome.name}"`, body: outcome.message }).show();
+            }
+            if (!event.sender.isDestroyed()) event.sender.send('launch-item-result', { runId, ...outcome });
+            return outcome;
+        }));
+    }
+    const outcomes = await Promise.all(launches);
+    rememberRecentItems(outcomes.filter(o => o.ok && typeof o.id === 'number').map(o => o.id));
+    return { runId, opened: outcomes.filter(o => o.ok).length, failed: outcomes.filter(o => !o.ok).length };
+});
+
+ipcMain.handle('select-application', async () => {
+    if (!mainWindow) throw new Error('Main window not available for file dialog.');
+    const filters = process.platform === 'win32' ? [{ name: 'Applications', extensions: ['exe', 'bat', 'cmd'] }, { name: 'All Files', extensions: ['*'] }] : [];
+    const { filePaths, canceled } = await dialog.showOpenDialog(mainWindow, { title: 'Select Application', properties: ['openFile'], filters });
+    if (canceled || filePaths.length === 0) return null;
+    return filePaths[0]; // Not approved to run here: the first launch with it asks, showing the full command line
+});
+
+// --- Path Health Check ---
+// Statuses reported to the renderer: 'ok', 'missing', 'permission-denied', 'unreachable'.
+const HEALTH_CHECK_TIMEOUT_MS = 8000; // Disconnected network drives can hang fs.stat for a long time
+const HEALTH_CHECK_CONCURRENCY = 8;
+
+function withTimeout(promise, ms, onTimeoutValue) {
+    let timer;
+    const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(onTimeoutValue), ms); });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function statLocalPath(itemPath) {
+    try {
+        const stats = await fs.stat(itemPath);
+        const entryType = stats.isFile() ? 'file' : stats.isDirectory() ? 'folderLink' : null;
+        return { status: 'ok', entryType, size: stats.size, mtimeMs: stats.mtimeMs };
+    } catch (err) {
+        if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return { status: 'missing', message: 'Path not found.' };
+        if (err.code === 'EACCES' || err.code === 'EPERM') return { status: 'permission-denied', message: 'Permission denied.' };
+        return { status: 'unreachable', message: `Path is inaccessible (${err.code || err.message}).` };
+    }
+}
+
+function headCheckUrl(url) {
+    return new Promise(resolve => {
+        let request;
+        try {
+            request = net.request({ method: 'HEAD', url, useSessionCookies: true });
+        } catch (err) {
+            return resolve({ status: 'unreachable', message: `Invalid URL: ${err.message}` });
+        }
+        request.on('response', (res) => {
+            const code = res.statusCode;
+            if (code === 404 || code === 410) resolve({ status: 'missing', message: `HTTP ${code}` });
+            else if (code === 401 || code === 403) resolve({ status: 'permission-denied', message: `HTTP ${code}` });
+            else if (code < 400 || code === 405) resolve({ status: 'ok' }); // 405: server is up but refuses HEAD
+            else resolve({ status: 'unreachable', message: `HTTP ${code}` });
+            res.on('data', () => {});
+        });
+        request.on('error', (err) => resolve({ status: 'unreachable', message: err.message }));
+        request.end();
+    });
+}
+
+async function checkItemHealth(item, includeWebsites, projectFilePath) {
+    if (!item || typeof item.location !== 'string' || item.location.trim() === '') {
+        return { status: 'missing', message: 'Item has no location.' };
+    }
+    const unreachableOnTimeout = { status: 'unreachable', message: 'Check timed out.' };
+    if (item.entryType === 'websiteLink' || item.type === 'websiteLink') {
+        if (!includeWebsites) return { status: 'skipped' };
+        return withTimeout(headCheckUrl(item.location), HEALTH_CHECK_TIMEOUT_MS, unreachableOnTimeout);
+    }
+    const { path: resolvedPath, unresolved } = resolveItemLocation(item.location, projectFilePath);
+    if (unresolved.length > 0) return { status: 'unreachable', message: `Path variable(s) not defined on this machine: ${unresolved.join(', ')}.` };
+    if (!isPathApproved(resolvedPath)) return { status: 'permission-denied', message: 'Access to this path has not been approved in HemoPaths.' };
+    const result = await withTimeout(statLocalPath(resolvedPath), HEALTH_CHECK_TIMEOUT_MS, unreachableOnTimeout);
+    // The file size is reported back so the renderer can remember it for relinking moved files later.
+    return { status: result.status, message: result.message, size: result.entryType === 'file' ? result.size : undefined };
+}
+
+async function checkItemsHealth(items, includeWebsites, projectFilePath) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            const item = items[index];
+            const result = await checkItemHealth(item, includeWebsites, projectFilePath);
+            results[index] = { id: item && item.id, ...result, checkedAt: Date.now() };
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(HEALTH_CHECK_CONCURRENCY, items.length) }, worker));
+    return results;
+}
+
+ipcMain.handle('check-paths-health', async (event, { items, includeWebsites, projectFilePath } = {}) => {
+    if (!Array.isArray(items)) throw new Error('Items to check were not provided.');
+    log.info(`[IPC] Health check requested for ${items.length} item(s) (websites: ${includeWebsites ? 'yes' : 'no'}).`);
+    const localPaths = items.filter(item => item && typeof item.location === 'string' && !isWebLocation(item.location))
+        .map(item => resolveItemLocation(item.location, projectFilePath)).filter(r => r.unresolved.length === 0).map(r => r.path);
+    await requestPathAccess(localPaths, `check ${localPaths.length === 1 ? 'this path' : `${localPaths.length} paths`} from your list`, { background: true });
+    const results = await checkItemsHealth(items, !!includeWebsites, projectFilePath);
+    const brokenCount = results.filter(r => r.status !== 'ok' && r.status !== 'skipped').length;
+    log.info(`[IPC] Health check finished: ${brokenCount} broken item(s).`);
+    return results;
+});
+
+// --- Live Folders ---
+// A live folder item keeps a watcher (fs.watch, or polling when requested or when watching fails) on its directory.
+// On every change the folder is rescanned and the difference against the last scan is pushed to the renderer.
+const LIVE_FOLDER_POLL_INTERVAL_MS = 5000;
+const LIVE_FOLDER_DEBOUNCE_MS = 750;
+const LIVE_FOLDER_MAX_FILES = 20000;
+const liveFolderWatchers = new Map(); // live folder item id -> { config, knownFiles, watcher, pollTimer, debounceTimer }
+
+// Supports *, ** and ?. Patterns without a slash are matched against the file name only.
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            if (pattern[i + 2] === '/') { source += '(?:.*/)?'; i += 2; } else { source += '.*'; i += 1; }
+        } else if (char === '*') source += '[^/]*';
+        else if (char === '?') source += '[^/]';
+        else source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+    return new RegExp(`^${source}$`, 'i');
+}
+
+function matchesAnyGlob(relativePath, patterns) {
+    return patterns.some(pattern => {
+        const normalized = pattern.replace(/\\/g, '/');
+        return globToRegExp(normalized).test(normalized.includes('/') ? relativePath : relativePath.split('/').pop());
+    });
+}
+
+function passesGlobFilters(relativePath, include, exclude) {
+    if (include.length > 0 && !matchesAnyGlob(relativePath, include)) return false;
+    return !matchesAnyGlob(relativePath, exclude);
+}
+
+async function scanLiveFolder(rootPath, config) {
+    const files = new Set();
+    const queue = [rootPath];
+    for (let i = 0; i < queue.length && files.size < LIVE_FOLDER_MAX_FILES; i++) {
+        const dirents = await fs.readdir(queue[i], { withFileTypes: true }).catch(err => {
+            if (i === 0) throw err; // The live folder itself is gone or unreadable
+            return [];
+        });
+        for (const dirent of dirents) {
+            const fullPath = path.join(queue[i], dirent.name);
+            if (dirent.isDirectory()) { if (config.recursive) queue.push(fullPath); continue; }
+            if (!dirent.isFile()) continue;
+            const relativePath = path.relative(rootPath, fullPath).split(path.sep).join('/');
+            if (passesGlobFilters(relativePath, config.include, config.exclude)) files.add(fullPath);
+        }
+    }
+    return files;
+}
+
+async function rescanLiveFolder(id) {
+    const entry = liveFolderWatchers.get(id);
+    if (!entry) return;
+    let currentFiles;
+    try {
+        currentFiles = await scanLiveFolder(entry.config.rootPath, entry.config);
+    } catch (err) {
+        log.warn(`[Live Folder] Could not scan ${entry.config.rootPath}: ${err.code || err.message}`);
+        return;
+    }
+    if (liveFolderWatchers.get(id) !== entry) return; // Stopped or replaced while scanning
+    const added = [...currentFiles].filter(p => !entry.knownFiles.has(p)).map(p => ({ path: p, name: path.basename(p) }));
+    const removed = [...entry.knownFiles].filter(p => !currentFiles.has(p));
+    entry.knownFiles = currentFiles;
+    if ((added.length > 0 || removed.length > 0) && mainWindow && !mainWindow.isDestroyed()) {
+        log.info(`[Live Folder] ${entry.config.rootPath}: ${added.length} added, ${removed.length} removed.`);
+        mainWindow.webContents.send('live-folder-changed', { folderId: id, added, removed });
+    }
+}
+
+function scheduleLiveFolderRescan(id) {
+    const entry = liveFolderWatchers.get(id);
+    if (!entry) return;
+    clearTimeout(entry.debounceTimer);
+    entry.debounceTimer = setTimeout(() => rescanLiveFolder(id), LIVE_FOLDER_DEBOUNCE_MS);
+}
+
+function startLiveFolderPolling(id, entry) {
+    entry.pollTimer = setInterval(() => rescanLiveFolder(id), LIVE_FOLDER_POLL_INTERVAL_MS);
+}
+
+function stopLiveFolderWatcher(id) {
+    const entry = liveFolderWatchers.get(id);
+    if (!entry) return;
+    if (entry.watcher) entry.watcher.close();
+    clearInterval(entry.pollTimer);
+    clearTimeout(entry.debounceTimer);
+    liveFolderWatchers.delete(id);
+}
+
+function startLiveFolderWatcher(config, knownPaths) {
+    const entry = { config, knownFiles: new Set(knownPaths), watcher: null, pollTimer: null, debounceTimer: null };
+    liveFolderWatchers.set(config.id, entry);
+    if (config.usePolling) {
+        startLiveFolderPolling(config.id, entry);
+    } else {
+        try {
+            entry.watcher = fsSync.watch(config.rootPath, { recursive: config.recursive }, () => scheduleLiveFolderRescan(config.id));
+            entry.watcher.on('error', (err) => {
+                log.warn(`[Live Folder] Watcher failed for ${config.rootPath} (${err.message}). Falling back to polling.`);
+                entry.watcher.close(); entry.watcher = null;
+                if (liveFolderWatchers.get(config.id) === entry && !entry.pollTimer) startLiveFolderPolling(config.id, entry);
+            });
+        } catch (err) {
+            log.warn(`[Live Folder] Could not watch ${config.rootPath} (${err.message}). Using polling.`);
+            startLiveFolderPolling(config.id, entry);
+        }
+    }
+    rescanLiveFolder(config.id); // Pick up anything that changed while the app was closed
+}
+
+function normalizeLiveFolderConfig(folder, projectFilePath) {
+    const toPatterns = list => (Array.isArray(list) ? list : []).filter(p => typeof p === 'string' && p.trim() !== '').map(p => p.trim());
+    const { path: rootPath, unresolved } = resolveItemLocation(folder.location, projectFilePath);
+    if (unresolved.length > 0) return null;
+    return { id: folder.id, rootPath, recursive: !!folder.recursive, usePolling: !!folder.usePolling, include: toPatterns(folder.include), exclude: toPatterns(folder.exclude) };
+}
+
+// The renderer sends the complete set of live folders; watchers are started, restarted or stopped to match it.
+ipcMain.handle('set-live-folders', async (event, { folders, projectFilePath } = {}) => {
+    if (!Array.isArray(folders)) throw new Error('Live folders were not provided.');
+    const configs = folders.map(folder => folder && normalizeLiveFolderConfig(folder, projectFilePath));
+    await requestPathAccess(configs.filter(Boolean).map(c => c.rootPath), 'watch your live folders', { background: true, tree: true });
+    const wanted = new Map();
+    folders.forEach((folder, index) => {
+        const config = configs[index];
+        if (config && !isPathApproved(config.rootPath, { tree: true })) log.warn(`[Live Folder] Skipping ${config.rootPath}: access was not approved.`);
+        else if (config) wanted.set(config.id, { config, knownPaths: Array.isArray(folder.knownPaths) ? folder.knownPaths : [] });
+        else if (folder) log.warn(`[Live Folder] Skipping ${folder.location}: path variables are not defined on this machine.`);
+    });
+    [...liveFolderWatchers.keys()].forEach(id => {
+        const existing = liveFolderWatchers.get(id);
+        if (!wanted.has(id) || JSON.stringify(wanted.get(id).config) !== JSON.stringify(existing.config)) stopLiveFolderWatcher(id);
+    });
+    wanted.forEach(({ config, knownPaths }, id) => { if (!liveFolderWatchers.has(id)) startLiveFolderWatcher(config, knownPaths); });
+    log.info(`[Live Folder] Watching ${liveFolderWatchers.size} folder(s).`);
+    return liveFolderWatchers.size;
+});
+
+ipcMain.handle('select-folder', async (event, title = 'Select Folder') => {
+    if (!mainWindow) throw new Error('Main window not available for folder dialog.');
+    const { filePaths, canceled } = await dialog.showOpenDialog(mainWindow, { title, properties: ['openDirectory'] });
+    if (canceled || filePaths.length === 0) return null;
+    approvePaths(filePaths, 'folder dialog');
+    return filePaths[0];
+});
+
+// Window Controls IPC
+ipcMain.on('minimize-window', () => { if (mainWindow && !mainWindow.isDestroyed()) mainWindow.minimize(); });
+ipcMain.on('close-window', () => { if (mainWindow && !mainWindow.isDestroyed()) mainWindow.close(); });
+
+// --- Project File Format (.hpmt) ---
+// Every .hpmt file is parsed, migrated to HPMT_CURRENT_VERSION and validated here before the renderer sees it.
+const HPMT_CURRENT_VERSION = 2;
+const ENTRY_TYPES = ['file', 'folderLink', 'websiteLink', 'liveFolder'];
+
+const LAUNCH_PROFILE_RULE = { type: 'object', shape: {
+    executable: { type: 'string', required: true, nonEmpty: true },
+    args: { type: 'array' },
+    workingDirectory: { type: 'string' },
+    waitForPrevious: { type: 'boolean' }
+} };
+
+// Field rules: type, required, nonEmpty (strings), date (strings Date.parse accepts), min (numbers), oneOf, and shape (rules for an object's fields, or for each element of an array of objects).
+const HPMT_SCHEMA = {
+    version: { type: 'number', required: true },
+    projectFiles: { type: 'array', required: true, shape: {
+        id: { type: 'number', required: true },
+        name: { type: 'string', required: true, nonEmpty: true },
+        actualName: { type: 'string' },
+        location: { type: 'string', required: true, nonEmpty: true },
+        type: { type: 'string' },
+        category: { type: 'string', required: true, nonEmpty: true },
+        entryType: { type: 'string', required: true, oneOf: ENTRY_TYPES },
+        dateAdded: { type: 'string' },
+        fileSize: { type: 'number', min: 0 },
+        launchProfile: LAUNCH_PROFILE_RULE,
+        launchOrder: { type: 'number' },
+        tags: { type: 'array' },
+        notes: { type: 'string' },
+        sourceLiveFolderId: { type: 'number' },
+        removedFromSource: { type: 'boolean' },
+        liveFolder: { type: 'object', shape: {
+            targetCategory: { type: 'string', required: true, nonEmpty: true },
+            recursive: { type: 'boolean' },
+            usePolling: { type: 'boolean' },
+            include: { type: 'array' },
+            exclude: { type: 'array' },
+            ignoredPaths: { type: 'array' }
+        } }
+    } },
+    appCategories: { type: 'array', required: true, shape: {
+        key: { type: 'string', required: true, nonEmpty: true },
+        display: { type: 'string', required: true, nonEmpty: true },
+        isCustom: { type: 'boolean' },
+        isDefaultOption: { type: 'boolean' },
+        isEditable: { type: 'boolean' },
+        isDeletable: { type: 'boolean' },
+        order: { type: 'number' },
+        launchProfile: LAUNCH_PROFILE_RULE
+    } },
+    todos: { type: 'array', required: true, shape: {
+        id: { type: 'number', required: true },
+        text: { type: 'string', required: true },
+        completed: { type: 'boolean' },
+        dateAdded: { type: 'string' },
+        dueDate: { type: 'string', date: true },
+        priority: { type: 'string', oneOf: TASK_PRIORITIES },
+        recurrence: { type: 'string', oneOf: TASK_RECURRENCES },
+        itemIds: { type: 'array' },
+        categoryKey: { type: 'string' }
+    } },
+    customExtensionMappings: { type: 'array', required: true, shape: {
+        extension: { type: 'string', required: true, nonEmpty: true },
+        categoryKey: { type: 'string', required: true, nonEmpty: true }
+    } },
+    openInterval: { type: 'number', min: 0.05 },
+    storeRelativePaths: { type: 'boolean' },
+    savedViews: { type: 'array', shape: {
+        id: { type: 'number', required: true },
+        name: { type: 'string', required: true, nonEmpty: true },
+        query: { type: 'string', required: true }
+    } }
+};
+
+function getValueType(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+function validateAgainstShape(data, shape, fieldPrefix, errors) {
+    Object.entries(shape).forEach(([key, rule]) => {
+        const field = fieldPrefix ? `${fieldPrefix}.${key}` : key;
+        const value = data[key];
+        if (value === undefined) {
+            if (rule.required) errors.push({ field, message: 'is required but missing.' });
+            return;
+        }
+        const actualType = getValueType(value);
+        if (actualType !== rule.type || (rule.type === 'number' && !Number.isFinite(value))) {
+            errors.push({ field, message: `must be ${rule.type === 'array' ? 'an' : 'a'} ${rule.type}, got ${actualType === 'number' ? String(value) : actualType}.` });
+            return;
+        }
+        if (rule.nonEmpty && value.trim() === '') errors.push({ field, message: 'must not be empty.' });
+        if (rule.date && Number.isNaN(Date.parse(value))) errors.push({ field, message: `must be a date, got "${value}".` });
+        if (rule.oneOf && !rule.oneOf.includes(value)) errors.push({ field, message: `must be one of ${rule.oneOf.join(', ')}, got "${value}".` });
+        if (typeof rule.min === 'number' && value < rule.min) errors.push({ field, message: `must be at least ${rule.min}, got ${value}.` });
+        if (rule.shape && rule.type === 'object') {
+            validateAgainstShape(value, rule.shape, field, errors);
+        } else if (rule.shape) {
+            value.forEach((element, index) => {
+                if (getValueType(element) !== 'object') { errors.push({ field: `${field}[${index}]`, message: 'must be an object.' }); return; }
+                validateAgainstShape(element, rule.shape, `${field}[${index}]`, errors);
+            });
+        }
+    });
+    return errors;
+}
+
+function validateProjectData(data) {
+    if (getValueType(data) !== 'object') return [{ field: '(root)', message: 'must be a JSON object.' }];
+    return validateAgainstShape(data, HPMT_SCHEMA, '', []);
+}
+
+// Each migration upgrades a project object from `from` to `from + 1`. Never edit a shipped migration; add a new one.
+const HPMT_MIGRATIONS = [
+    {
+        from: 1, // version "1.0" (string) and unversioned files: fill fields older builds left out
+        migrate: (data) => ({
+            ...data,
+            projectFiles: Array.isArray(data.projectFiles) ? data.projectFiles.map(item => {
+                if (getValueType(item) !== 'object') return item;
+                const location = typeof item.location === 'string' ? item.location : '';
+                const isWebsite = /^https?:\/\//i.test(location);
+                const actualName = typeof item.actualName === 'string' ? item.actualName : (isWebsite ? location : path.basename(location));
+                return {
+                    ...item,
+                    id: typeof item.id === 'string' && item.id.trim() !== '' && !isNaN(Number(item.id)) ? Number(item.id) : item.id,
+                    actualName,
+                    name: typeof item.name === 'string' && item.name.trim() !== '' ? item.name : actualName,
+                    entryType: item.entryType || (isWebsite ? 'websiteLink' : 'file'),
+                    type: item.type || (isWebsite ? 'websiteLink' : 'unknown'),
+                    category: item.category || 'general'
+                };
+            }) : (data.projectFiles === undefined ? [] : data.projectFiles),
+            appCategories: data.appCategories === undefined ? [] : data.appCategories,
+            todos: data.todos === undefined ? [] : data.todos,
+            customExtensionMappings: data.customExtensionMappings === undefined ? [] : data.customExtensionMappings,
+            version: 2
+        })
+    }
+];
+
+function getProjectVersion(data) {
+    if (data.version === undefined) return 1;
+    const version = typeof data.version === 'string' ? parseInt(data.version, 10) : data.version;
+    return Number.isInteger(version) ? version : NaN;
+}
+
+function migrateProjectData(data) {
+    let current = data;
+    let version = getProjectVersion(current);
+    const migratedFrom = version;
+    while (version < HPMT_CURRENT_VERSION) {
+        const migration = HPMT_MIGRATIONS.find(m => m.from === version);
+        if (!migration) throw new Error(`No migration available from project format version ${version}.`);
+        current = migration.migrate(current);
+        version = getProjectVersion(current);
+    }
+    return { data: current, migratedFrom: migratedFrom < HPMT_CURRENT_VERSION ? migratedFrom : null };
+}
+
+// Returns { data, migratedFrom, errors }. `errors` is a list of { field, message }; `data` is null when it is not empty.
+function parseProjectContent(content) {
+    let parsed;
+    try {
+        parsed = JSON.parse(content);
+    } catch (err) {
+        return { data: null, migratedFrom: null, errors: [{ field: '(file)', message: `is not valid JSON: ${err.message}` }] };
+    }
+    if (getValueType(parsed) !== 'object') return { data: null, migratedFrom: null, errors: [{ field: '(root)', message: 'must be a JSON object.' }] };
+    const version = getProjectVersion(parsed);
+    if (Number.isNaN(version)) return { data: null, migratedFrom: null, errors: [{ field: 'version', message: `is not a recognised version: ${JSON.stringify(parsed.version)}.` }] };
+    if (version > HPMT_CURRENT_VERSION) {
+        return { data: null, migratedFrom: null, errors: [{ field: 'version', message: `${version} is newer than this app supports (${HPMT_CURRENT_VERSION}). Please update Hemo Paths Manager.` }] };
+    }
+    let migrated;
+    try {
+        migrated = migrateProjectData(parsed);
+    } catch (err) {
+        return { data: null, migratedFrom: null, errors: [{ field: 'version', message: err.message }] };
+    }
+    const errors = validateProjectData(migrated.data);
+    return { data: errors.length === 0 ? migrated.data : null, migratedFrom: migrated.migratedFrom, errors };
+}
+
+async function readProjectFile(filePath) {
+    const content = await fs.readFile(filePath, 'utf-8');
+    const result = parseProjectContent(content);
+    if (result.errors.length > 0) log.warn(`[Project] ${filePath} failed validation with ${result.errors.length} error(s).`);
+    else if (result.migratedFrom !== null) log.info(`[Project] Migrated ${filePath} from version ${result.migratedFrom} to ${HPMT_CURRENT_VERSION}.`);
+    if (result.data) resolveRelativeProjectLocations(result.data, filePath);
+    return { filePath, ...result };
+}
+
+// Relative locations are made absolute against the project file's folder; variable-based ones stay as they are.
+function resolveRelativeProjectLocations(data, projectFilePath) {
+    const projectDir = path.dirname(projectFilePath);
+    data.projectFiles = data.projectFiles.map(item => mapItemLocations(item, location => fromProjectRelativeLocation(location, projectDir)));
+}
+
+// An item's location, plus the synced paths its live folder ignores.
+function mapItemLocations(item, mapLocation) {
+    const mapped = { ...item, location: mapLocation(item.location) };
+    if (item.liveFolder && Array.isArray(item.liveFolder.ignoredPaths)) mapped.liveFolder = { ...item.liveFolder, ignoredPaths: item.liveFolder.ignoredPaths.map(mapLocation) };
+    return mapped;
+}
+
+// Stamps the current format version and refuses to write data that would not load again.
+function prepareProjectData(data) {
+    const projectData = { ...(typeof data === 'string' ? JSON.parse(data) : data), version: HPMT_CURRENT_VERSION };
+    const errors = validateProjectData(projectData);
+    if (errors.length > 0) {
+        const summary = errors.slice(0, 3).map(e => `${e.field} ${e.message}`).join(' ');
+        throw new Error(`Project data is invalid and was not saved: ${summary}${errors.length > 3 ? ` (+${errors.length - 3} more)` : ''}`);
+    }
+    return projectData;
+}
+
+function serializeProjectData(projectData, filePath) {
+    if (!projectData.storeRelativePaths) return JSON.stringify(projectData);
+    const projectDir = path.dirname(filePath);
+    return JSON.stringify({ ...projectData, projectFiles: projectData.projectFiles.map(item => mapItemLocations(item, location => toProjectRelativeLocation(location, projectDir))) });
+}
+
+// --- Atomic Saves & Backups ---
+// Project files are written to a temp file and renamed into place. The previous version of a project is copied to
+// userData/backups/projects first, and the renderer's workspace is snapshotted periodically to userData/backups/autosave.
+const backupsDirPath = path.join(localCacheDirPath, 'backups');
+const projectBackupsDirPath = path.join(backupsDirPath, 'projects');
+const autosaveDirPath = path.join(backupsDirPath, 'autosave');
+const MAX_BACKUPS_PER_PROJECT = 10;
+const MAX_AUTOSAVE_SNAPSHOTS = 20;
+let lastAutosaveHash = null;
+
+async function writeFileAtomic(filePath, content) {
+    const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+    const handle = await fs.open(tempPath, 'w');
+    try {
+        await handle.writeFile(content, 'utf-8');
+        await handle.sync(); // Make sure the bytes are on disk before the rename makes them visible
+    } finally {
+        await handle.close();
+    }
+    try {
+        await fs.rename(tempPath, filePath);
+    } catch (err) {
+        await fs.unlink(tempPath).catch(() => {});
+        throw err;
+    }
+}
+
+function backupTimestamp() { return new Date().toISOString().replace(/[:.]/g, '-'); }
+
+async function pruneBackups(dirPath, keep) {
+    const names = (await fs.readdir(dirPath).catch(() => [])).filter(name => name.endsWith('.hpmt') || name.endsWith('.json')).sort(); // Timestamped names sort chronologically
+    await Promise.all(names.slice(0, Math.max(0, names.length - keep)).map(name => fs.unlink(path.join(dirPath, name)).catch(() => {})));
+}
+
+function getProjectBackupDir(projectFilePath) {
+    const pathHash = crypto.createHash('sha256').update(path.resolve(projectFilePath).toLowerCase()).digest('hex').slice(0, 10);
+    const safeName = path.basename(projectFilePath, path.extname(projectFilePath)).replace(/[^A-Za-z0-9_-]+/g, '_').slice(0, 40);
+    return path.join(projectBackupsDirPath, `${safeName}-${pathHash}`);
+}
+
+async function backupExistingProjectFile(projectFilePath) {
+    if (!fsSync.existsSync(projectFilePath)) return;
+    const backupDir = getProjectBackupDir(projectFilePath);
+    try {
+        await fs.mkdir(backupDir, { recursive: true });
+        await fs.writeFile(path.join(backupDir, 'source.txt'), projectFilePath, 'utf-8');
+        await fs.copyFile(projectFilePath, path.join(backupDir, `${backupTimestamp()}.hpmt`));
+        await pruneBackups(backupDir, MAX_BACKUPS_PER_PROJECT);
+    } catch (err) {
+        log.warn(`[Backup] Could not back up ${projectFilePath} before saving: ${err.message}`);
+    }
+}
+
+async function saveProjectFile(filePath, content) {
+    await backupExistingProjectFile(filePath);
+    await writeFileAtomic(filePath, content);
+    log.info('[Project] Saved project file:', filePath);
+}
+
+async function createAutosaveSnapshot(data, reason) {
+    const projectData = { ...(typeof data === 'string' ? JSON.parse(data) : data), version: HPMT_CURRENT_VERSION };
+    const contentHash = calculateHash(JSON.stringify(projectData));
+    if (reason === 'autosave' && contentHash === lastAutosaveHash) return null; // Nothing changed since the last periodic snapshot
+    await fs.mkdir(autosaveDirPath, { recursive: true });
+    const snapshotPath = path.join(autosaveDirPath, `${backupTimestamp()}-${reason}.json`);
+    await writeFileAtomic(snapshotPath, JSON.stringify({ ...projectData, snapshotReason: reason, snapshotCreatedAt: new Date().toISOString() }));
+    lastAutosaveHash = contentHash;
+    await pruneBackups(autosaveDirPath, MAX_AUTOSAVE_SNAPSHOTS);
+    return snapshotPath;
+}
+
+async function describeBackupFile(filePath, kind, projectPath) {
+    const stats = await fs.stat(filePath);
+    let itemCount = null, todoCount = null, reason = kind === 'project' ? 'project-save' : null;
+    try {
+        const parsed = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        itemCount = Array.isArray(parsed.projectFiles) ? parsed.projectFiles.length : null;
+        todoCount = Array.isArray(parsed.todos) ? parsed.todos.length : null;
+        if (typeof parsed.snapshotReason === 'string') reason = parsed.snapshotReason;
+    } catch (err) {
+        reason = 'unreadable';
+    }
+    return { id: path.relative(backupsDirPath, filePath), kind, reason, projectPath, createdAt: stats.mtime.toISOString(), size: stats.size, itemCount, todoCount };
+}
+
+async function listBackups() {
+    const backups = [];
+    for (const name of await fs.readdir(autosaveDirPath).catch(() => [])) {
+        if (name.endsWith('.json')) backups.push(await describeBackupFile(path.join(autosaveDirPath, name), 'autosave', null));
+    }
+    for (const dirName of await fs.readdir(projectBackupsDirPath).catch(() => [])) {
+        const dirPath = path.join(projectBackupsDirPath, dirName);
+        const projectPath = await fs.readFile(path.join(dirPath, 'source.txt'), 'utf-8').catch(() => dirName);
+        for (const name of await fs.readdir(dirPath).catch(() => [])) {
+            if (name.endsWith('.hpmt')) backups.push(await describeBackupFile(path.join(dirPath, name), 'project', projectPath));
+        }
+    }
+    return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function resolveBackupPath(backupId) {
+    const backupPath = path.resolve(backupsDirPath, String(backupId));
+    if (!backupPath.startsWith(backupsDirPath + path.sep)) throw new Error('Backup not found.');
+    return backupPath;
+}
+
+ipcMain.handle('create-autosave-snapshot', async (event, { data, reason = 'autosave' } = {}) => {
+    if (!data) throw new Error('No workspace data provided for the snapshot.');
+    const safeReason = String(reason).replace(/[^a-z-]/gi, '').slice(0, 30) || 'autosave';
+    const snapshotPath = await createAutosaveSnapshot(data, safeReason);
+    if (snapshotPath) log.info(`[Backup] Workspace snapshot (${safeReason}) written to ${snapshotPath}`);
+    return snapshotPath;
+});
+
+ipcMain.handle('list-backups', async () => await listBackups());
+
+ipcMain.handle('read-backup', async (event, backupId) => {
+    const backupPath = resolveBackupPath(backupId);
+    const result = parseProjectContent(await fs.readFile(backupPath, 'utf-8'));
+    // Copies of a saved project may hold project-relative locations; they resolve against the project it was saved as.
+    if (result.data && backupPath.startsWith(projectBackupsDirPath + path.sep)) {
+        const projectPath = (await fs.readFile(path.join(path.dirname(backupPath), 'source.txt'), 'utf-8').catch(() => '')).trim();
+        if (path.isAbsolute(projectPath)) resolveRelativeProjectLocations(result.data, projectPath);
+        else log.warn(`[Backup] ${backupId} does not record its project; relative locations are left as they are.`);
+    }
+    return result;
+});
+
+// File Operations IPC Handlers
+ipcMain.handle('save-dialog', async (event, data) => {
+    if (!mainWindow) throw new Error('Main window not available for save dialog.');
+    const projectData = prepareProjectData(data);
+    const { filePath, canceled } = await dialog.showSaveDialog(mainWindow, {
+        title: 'Save Project As',
+        defaultPath: path.join(app.getPath('documents'), 'myProject.hpmt'),
+        filters: [{ name: 'Hemo Paths Manager Files', extensions: ['hpmt'] }]
+    });
+    if (canceled || !filePath) return null;
+    approvePaths([filePath], 'save dialog');
+    await saveProjectFile(filePath, serializeProjectData(projectData, filePath));
+    return filePath;
+});
+
+ipcMain.handle('save-file', async (event, { filePath, data }) => {
+    if (!filePath) throw new Error('File path not provided for saving.');
+    await assertPathAccess([filePath], `save the project to "${path.basename(filePath)}"`);
+    await saveProjectFile(filePath, serializeProjectData(prepareProjectData(data), filePath));
+    return filePath;
+});
+
+ipcMain.handle('open-dialog-for-hpmt', async (event) => {
+    if (!mainWindow) throw new Error('Main window not available for open dialog.');
+    const { filePaths, canceled } = await dialog.showOpenDialog(mainWindow, {
+        title: 'Import Project File',
+        properties: ['openFile'],
+        filters: [{ name: 'Hemo Paths Manager Files', extensions: ['hpmt'] }]
+    });
+    if (canceled || filePaths.length === 0) return null;
+    approvePaths(filePaths, 'open dialog');
+    const result = await readProjectFile(filePaths[0]);
+    approveProjectItemLocations(result.data, filePaths[0]);
+    return result;
+});
+
+ipcMain.handle('load-project-file', async (event, filePath) => {
+    if (!filePath) throw new Error('File path not provided for loading.');
+    await assertPathAccess([filePath], `open the project "${path.basename(filePath)}"`);
+    const result = await readProjectFile(filePath);
+    approveProjectItemLocations(result.data, filePath);
+    return result;
+});
+
+ipcMain.handle('parse-project-content', async (event, content) => {
+    if (typeof content !== 'string') throw new Error('Project content not provided for parsing.');
+    return parseProjectContent(content);
+});
+
+// --- Relink Missing Items ---
+// Searches a new root folder for entries with the same name as each missing item (like "Locate media" in Premiere).
+const RELINK_MAX_SCANNED_ENTRIES = 250000;
+
+async function scanFolderForNames(rootPath, wantedNames) {
+    const found = new Map(); // lowercased name -> [{ path, isDirectory }]
+    const queue = [rootPath];
+    let scanned = 0, truncated = false;
+    for (let i = 0; i < queue.length && !truncated; i++) {
+        let dirents;
+        try {
+            dirents = await fs.readdir(queue[i], { withFileTypes: true });
+        } catch (err) {
+            log.warn(`[Relink] Skipping unreadable folder ${queue[i]}: ${err.code || err.message}`);
+            continue;
+        }
+        for (const dirent of dirents) {
+            if (++scanned > RELINK_MAX_SCANNED_ENTRIES) { truncated = true; break; }
+            const fullPath = path.join(queue[i], dirent.name);
+            if (dirent.isDirectory()) queue.push(fullPath); // Symlinked folders are not followed to avoid cycles
+            const key = dirent.name.toLowerCase();
+            if (wantedNames.has(key)) {
+                if (!found.has(key)) found.set(key, []);
+                found.get(key).push({ path: fullPath, isDirectory: dirent.isDirectory() });
+            }
+        }
+    }
+    return { found, scanned, truncated };
+}
+
+function countMatchingTailSegments(oldLocation, candidatePath) {
+    const toSegments = p => p.split(/[\\/]+/).filter(Boolean).map(s => s.toLowerCase()).reverse();
+    const oldSegments = toSegments(oldLocation), candidateSegments = toSegments(candidatePath);
+    let count = 0;
+    while (count < oldSegments.length && count < candidateSegments.length && oldSegments[count] === candidateSegments[count]) count++;
+    return count;
+}
+
+async function buildRelinkProposal(item, candidates) {
+    const wantsDirectory = item.entryType === 'folderLink' || item.entryType === 'liveFolder';
+    const ranked = [];
+    for (const candidate of candidates.filter(c => c.isDirectory === wantsDirectory)) {
+        let sizeMatches = null; // null: no size recorded for the item, so size could not be compared
+        if (!wantsDirectory && typeof item.fileSize === 'number') {
+            const stats = await fs.stat(candidate.path).catch(() => null);
+            sizeMatches = !!stats && stats.size === item.fileSize;
+        }
+        ranked.push({ path: candidate.path, sizeMatches, tailMatch: countMatchingTailSegments(item.location, candidate.path) });
+    }
+    if (ranked.length === 0) return null;
+    ranked.sort((a, b) => (b.sizeMatches === true) - (a.sizeMatches === true) || b.tailMatch - a.tailMatch || a.path.length - b.path.length);
+    const best = ranked[0];
+    const matchedBy = best.sizeMatches === true ? 'name+size' : 'name';
+    // Only pre-select proposals we are confident about: a size match, or a single unambiguous name match without a conflicting size.
+    const confident = best.sizeMatches === true || (ranked.length === 1 && best.sizeMatches !== false);
+    return { id: item.id, oldLocation: item.originalLocation || item.location, newLocation: best.path, candidates: ranked.map(c => c.path), matchedBy, confident };
+}
+
+ipcMain.handle('find-relink-candidates', async (event, { items, projectFilePath } = {}) => {
+    if (!mainWindow) throw new Error('Main window not available for relink dialog.');
+    if (!Array.isArray(items) || items.length === 0) throw new Error('No missing items were provided for relinking.');
+    const { filePaths, canceled } = await dialog.showOpenDialog(mainWindow, {
+        title: 'Select New Root Folder to Search',
+        properties: ['openDirectory']
+    });
+    if (canceled || filePaths.length === 0) return null;
+    const rootPath = filePaths[0];
+    approvePaths([rootPath], 'relink dialog');
+
+    const itemsWithNames = items
+        .filter(item => item && typeof item.location === 'string')
+        .map(item => {
+            const resolvedLocation = resolveItemLocation(item.location, projectFilePath).path;
+            return { ...item, location: resolvedLocation, originalLocation: item.location, searchName: (item.actualName || path.basename(resolvedLocation)).toLowerCase() };
+        });
+    log.info(`[Relink] Searching ${rootPath} for ${itemsWithNames.length} missing item(s).`);
+    const { found, scanned, truncated } = await scanFolderForNames(rootPath, new Set(itemsWithNames.map(i => i.searchName)));
+
+    const proposals = [], unmatched = [];
+    for (const item of itemsWithNames) {
+        const proposal = await buildRelinkProposal(item, found.get(item.searchName) || []);
+        if (proposal) proposals.push(proposal); else unmatched.push(item.id);
+    }
+    log.info(`[Relink] Scanned ${scanned} entries${truncated ? ' (limit reached)' : ''}: ${proposals.length} proposal(s), ${unmatched.length} unmatched.`);
+    return { rootPath, proposals, unmatched, scanned, truncated };
+});
+
+// --- Item Import & Export ---
+// Moves item lists to and from spreadsheets (CSV), scripts (JSON), browsers (Netscape bookmark HTML, website links only)
+// and the file manager (a folder of shortcut files with one subfolder per category). The renderer sends items already
+// grouped by category display name and receives parsed rows back; category mapping and duplicate detection happen there.
+const ITEM_EXPORT_FORMATS = {
+    csv: { title: 'Export Items as CSV', filter: { name: 'CSV Spreadsheet', extensions: ['csv'] } },
+    json: { title: 'Export Items as JSON', filter: { name: 'JSON Item List', extensions: ['json'] } },
+    bookmarks: { title: 'Export Website Links as Bookmarks', filter: { name: 'Bookmarks HTML', extensions: ['html', 'htm'] } }
+};
+const ITEM_LIST_FORMAT = 'hemopaths-items';
+const CSV_COLUMNS = ['Category', 'Name', 'Location', 'Type', 'Tags', 'Notes', 'Date Added'];
+const CSV_HEADER_ALIASES = {
+    category: ['category', 'folder', 'group'], name: ['name', 'title'], location: ['location', 'path', 'url', 'link', 'target'],
+    type: ['type', 'entrytype', 'kind'], tags: ['tags', 'tag', 'labels'], notes: ['notes', 'note', 'description', 'comment'], dateAdded: ['dateadded', 'added', 'date']
+};
+const IMPORTED_ENTRY_TYPES = { file: 'file', folder: 'folderLink', folderlink: 'folderLink', livefolder: 'folderLink', directory: 'folderLink', website: 'websiteLink', websitelink: 'websiteLink', url: 'websiteLink', link: 'websiteLink' };
+const SHORTCUT_EXTENSIONS = ['.lnk', '.url', '.desktop'];
+const MAX_IMPORTED_ITEMS = 20000;
+const MAX_SHORTCUT_FOLDER_DEPTH = 8;
+
+function escapeBookmarkHtml(text) { return String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]); }
+function decodeHtmlEntities(text) {
+    return String(text).replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos|#39);/gi, (match, entity) => {
+        const lower = entity.toLowerCase();
+        if (lower.startsWith('#x')) return String.fromCodePoint(parseInt(lower.slice(2), 16));
+        if (lower.startsWith('#')) return String.fromCodePoint(parseInt(lower.slice(1), 10));
+        return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[lower];
+    });
+}
+
+// Windows and macOS reject these in file names; the same rules keep exported folders portable everywhere.
+function toSafeFileName(name, fallback) {
+    const safe = String(name || '').replace(/[<>:"/\\|?*\x00-\x1f]/g, '_').replace(/[. ]+$/, '').trim().slice(0, 120);
+    return safe || fallback;
+}
+
+function toCsvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function serializeItemsAsCsv(groups) {
+    const rows = [CSV_COLUMNS];
+    groups.forEach(group => group.items.forEach(item => rows.push([group.category, item.name, item.location, item.entryType, item.tags.join(', '), item.notes, item.dateAdded])));
+    return '\ufeff' + rows.map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n'; // The BOM makes Excel read the file as UTF-8
+}
+
+function serializeItemsAsBookmarks(groups) {
+    const lines = ['<!DOCTYPE NETSCAPE-Bookmark-file-1>', '<!-- This is an automatically generated file.', '     It will be read and overwritten.', '     DO NOT EDIT! -->',
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">', '<TITLE>Bookmarks</TITLE>', '<H1>Bookmarks</H1>', '<DL><p>'];
+    let exported = 0;
+    groups.forEach(group => {
+        const links = group.items.filter(item => item.entryType === 'websiteLink' && isWebLocation(item.location));
+        if (links.length === 0) return;
+        lines.push(`    <DT><H3>${escapeBookmarkHtml(group.category)}</H3>`, '    <DL><p>');
+        links.forEach(item => {
+            const added = Date.parse(item.dateAdded);
+            const attributes = [`HREF="${escapeBookmarkHtml(item.location)}"`, Number.isFinite(added) && `ADD_DATE="${Math.floor(added / 1000)}"`, item.tags.length > 0 && `TAGS="${escapeBookmarkHtml(item.tags.join(','))}"`].filter(Boolean);
+            lines.push(`        <DT><A ${attributes.join(' ')}>${escapeBookmarkHtml(item.name)}</A>`);
+            if (item.notes) lines.push(`        <DD>${escapeBookmarkHtml(item.notes.replace(/\s*\n\s*/g, ' '))}`);
+            exported++;
+        });
+        lines.push('    </DL><p>');
+    });
+    lines.push('</DL><p>');
+    return { content: lines.join('\n') + '\n', exported };
+}
+
+function normalizeExportGroups(groups) {
+    const text = value => typeof value === 'string' ? value : '';
+    return (Array.isArray(groups) ? groups : []).filter(group => group && Array.isArray(group.items)).map(group => ({
+        category: text(group.category) || 'Uncategorized',
+        items: group.items.filter(item => item && typeof item.location === 'string' && item.location.trim() !== '').map(item => ({
+            name: text(item.name) || item.location, location: item.location, entryType: text(item.entryType) || 'file',
+            tags: Array.isArray(item.tags) ? item.tags.filter(tag => typeof tag === 'string') : [], notes: text(item.notes), dateAdded: text(item.dateAdded)
+        }))
+    })).filter(group => group.items.length > 0);
+}
+
+async function writeShortcutFile(folder, item, targetPath) {
+    const isWebsite = isWebLocation(item.location);
+    const baseName = toSafeFileName(item.name, 'Item');
+    const extension = isWebsite ? (process.platform === 'linux' ? '.desktop' : '.url') : process.platform === 'win32' ? '.lnk' : process.platform === 'linux' ? '.desktop' : '';
+    let filePath = path.join(folder, baseName + extension);
+    for (let n = 2; fsSync.existsSync(filePath); n++) filePath = path.join(folder, `${baseName} (${n})${extension}`);
+    const url = isWebsite ? item.location : pathToFileURL(targetPath).href;
+    if (extension === '.url') return fs.writeFile(filePath, `[InternetShortcut]\r\nURL=${url}\r\n`, 'utf-8');
+    if (extension === '.desktop') {
+        const escapeValue = value => value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+        const lines = ['[Desktop Entry]', 'Type=Link', `Name=${escapeValue(item.name)}`, `URL=${escapeValue(url)}`, item.notes && `Comment=${escapeValue(item.notes)}`].filter(Boolean);
+        return fs.writeFile(filePath, lines.join('\n') + '\n', 'utf-8');
+    }
+    if (extension === '.lnk') {
+        if (!shell.writeShortcutLink(filePath, 'create', { target: targetPath, description: item.notes.slice(0, 250) })) throw new Error('Windows could not create the shortcut.');
+        return;
+    }
+    return fs.symlink(targetPath, filePath); // macOS: Finder follows symlinks like aliases
+}
+
+async function exportItemsAsShortcuts(rootPath, groups, projectFilePath) {
+    let exported = 0;
+    const failures = [];
+    for (const group of groups) {
+        const folder = path.join(rootPath, toSafeFileName(group.category, 'Uncategorized'));
+        await fs.mkdir(folder, { recursive: true });
+        for (const item of group.items) {
+            const { path: targetPath, unresolved } = resolveItemLocation(item.location, projectFilePath);
+            if (unresolved.length > 0) { failures.push(`${item.name}: path variable(s) not defined (${unresolved.join(', ')})`); continue; }
+            try { await writeShortcutFile(folder, item, targetPath); exported++; }
+            catch (err) { failures.push(`${item.name}: ${err.message}`); }
+        }
+    }
+    return { exported, failures };
+}
+
+// RFC 4180 with the delimiter guessed from the header line, since spreadsheets in many locales save with ';'.
+function parseCsv(content) {
+    const text = content.replace(/^\uFEFF/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    const delimiter = [',', ';', '\t'].map(d => [d, firstLine.split(d).length]).sort((a, b) => b[1] - a[1])[0][0];
+    const rows = [];
+    let row = [], field = '', inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') inQuotes = false;
+            else field += ch;
+        } else if (ch === '"') inQuotes = true;
+        else if (ch === delimiter) { row.push(field); field = ''; }
+        else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field); rows.push(row); row = []; field = '';
+        } else field += ch;
+    }
+    if (field !== '' || row.length > 0) { row.push(field); rows.push(row); }
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+function parseCsvItems(content) {
+    const [header, ...rows] = parseCsv(content);
+    if (!header) return [];
+    const columns = {};
+    header.forEach((title, index) => {
+        const key = title.toLowerCase().replace(/[\s_-]/g, '');
+        const field = Object.keys(CSV_HEADER_ALIASES).find(name => CSV_HEADER_ALIASES[name].includes(key));
+        if (field && columns[field] === undefined) columns[field] = index;
+    });
+    if (columns.location === undefined) throw new Error('The CSV file needs a "Location" (or "Path" / "URL") column in its first row.');
+    const cell = (row, field) => columns[field] === undefined ? '' : (row[columns[field]] || '').trim();
+    return rows.map(row => ({
+        category: cell(row, 'category'), name: cell(row, 'name'), location: cell(row, 'location'), type: cell(row, 'type'),
+        tags: cell(row, 'tags').split(/[,;]/), notes: cell(row, 'notes'), dateAdded: cell(row, 'dateAdded')
+    }));
+}
+
+// Accepts our own export, a project's data ({ projectFiles, appCategories }) or a plain array of items.
+function parseJsonItems(content) {
+    let data;
+    try { data = JSON.parse(content.replace(/^\uFEFF/, '')); } catch (err) { throw new Error(`The file is not valid JSON (${err.message}).`); }
+    const readItem = (item, category) => ({ category, name: item.name, location: item.location || item.path || item.url, type: item.entryType || item.type, tags: item.tags, notes: item.notes, dateAdded: item.dateAdded });
+    if (data && data.format === ITEM_LIST_FORMAT && Array.isArray(data.categories)) {
+        return data.categories.flatMap(group => (Array.isArray(group.items) ? group.items : []).filter(Boolean).map(item => readItem(item, group.name)));
+    }
+    if (data && Array.isArray(data.projectFiles)) {
+        const categories = Array.isArray(data.appCategories) ? data.appCategories : [];
+        const display = key => (categories.find(c => c && c.key === key) || {}).display || '';
+        return data.projectFiles.filter(Boolean).map(item => readItem(item, display(item.category)));
+    }
+    if (Array.isArray(data)) return data.filter(Boolean).map(item => readItem(item, item.category));
+    throw new Error('The JSON file does not contain a list of items.');
+}
+
+// Walks the <DL> nesting of a Netscape bookmark file; each link goes to the category of its innermost folder.
+function parseBookmarkItems(content) {
+    const items = [];
+    const folderStack = [];
+    let pendingFolder = null, lastItem = null;
+    const tokenPattern = /<H3[^>]*>([\s\S]*?)<\/H3>|<DL\b[^>]*>|<\/DL>|<A\s([^>]*)>([\s\S]*?)<\/A>|<DD>([^<]*)/gi;
+    const attribute = (attributes, name) => { const match = new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`, 'i').exec(attributes); return match ? decodeHtmlEntities(match[1]) : ''; };
+    let match;
+    while ((match = tokenPattern.exec(content)) !== null) {
+        const token = match[0].slice(0, 3).toUpperCase();
+        if (match[1] !== undefined) { pendingFolder = decodeHtmlEntities(match[1].trim()); lastItem = null; }
+        else if (token === '<DL') { folderStack.push(pendingFolder); pendingFolder = null; }
+        else if (token === '</D') folderStack.pop();
+        else if (match[2] !== undefined) {
+            const location = attribute(match[2], 'HREF');
+            if (!/^(https?|file):/i.test(location)) { lastItem = null; continue; } // Skips javascript:, place: and similar
+            const added = parseInt(attribute(match[2], 'ADD_DATE'), 10);
+            lastItem = {
+                category: [...folderStack].reverse().find(Boolean) || '', name: decodeHtmlEntities(match[3].replace(/<[^>]+>/g, '').trim()), location, type: '',
+                tags: attribute(match[2], 'TAGS').split(','), notes: '', dateAdded: Number.isFinite(added) ? new Date(added * 1000).toLocaleString('en-US', { dateStyle: 'short', timeStyle: 'short' }) : ''
+            };
+            items.push(lastItem);
+        } else if (match[4] !== undefined && lastItem) lastItem.notes = decodeHtmlEntities(match[4].trim());
+    }
+    return items;
+}
+
+function readIniValue(content, key) {
+    const match = new RegExp(`^\\s*${key}\\s*=(.*)$`, 'mi').exec(content);
+    return match ? match[1].trim() : '';
+}
+
+// Returns the item a shortcut points to, or null for shortcuts that do not point to a file, folder or web page.
+async function readShortcutFile(filePath, category) {
+    const extension = path.extname(filePath).toLowerCase();
+    const baseName = path.basename(filePath, extension);
+    if (extension === '.lnk') {
+        if (process.platform !== 'win32') throw new Error('Windows shortcuts (.lnk) can only be read on Windows.');
+        const { target, description } = shell.readShortcutLink(filePath);
+        return target ? { category, name: baseName, location: target, type: '', tags: [], notes: description || '', dateAdded: '' } : null;
+    }
+    const content = await fs.readFile(filePath, 'utf-8');
+    if (extension === '.url') {
+        const url = readIniValue(content, 'URL');
+        return url ? { category, name: baseName, location: url, type: '', tags: [], notes: '', dateAdded: '' } : null;
+    }
+    const unescapeValue = value => value.replace(/\\n/g, '\n').replace(/\\\\/g, '\\');
+    const type = readIniValue(content, 'Type');
+    const name = unescapeValue(readIniValue(content, 'Name')) || baseName;
+    const notes = unescapeValue(readIniValue(content, 'Comment'));
+    if (type === 'Link') { const url = unescapeValue(readIniValue(content, 'URL')); return url ? { category, name, location: url, type: '', tags: [], notes, dateAdded: '' } : null; }
+    if (type === 'Application') { // Only the program itself; its arguments and field codes (%f, %U, ...) are dropped
+        const program = (/^\s*"([^"]+)"|^\s*(\S+)/.exec(readIniValue(content, 'Exec')) || []).slice(1).find(Boolean);
+        return program && path.isAbsolute(program) ? { category, name, location: program, type: 'file', tags: [], notes, dateAdded: '' } : null;
+    }
+    return null;
+}
+
+// Shortcut files directly in the chosen folder have no category; anything deeper takes its top-level subfolder's name.
+async function readShortcutFolder(rootPath, failures) {
+    const items = [];
+    const stack = [{ dir: rootPath, depth: 0, category: '' }];
+    while (stack.length > 0 && items.length < MAX_IMPORTED_ITEMS) {
+        const { dir, depth, category } = stack.pop();
+        const dirents = await fs.readdir(dir, { withFileTypes: true }).catch(err => { if (dir === rootPath) throw err; failures.push(`${dir}: ${err.code || err.message}`); return []; });
+        for (const dirent of dirents.sort((a, b) => a.name.localeCompare(b.name))) {
+            if (isHiddenOrSystemName(dirent.name)) continue;
+            const fullPath = path.join(dir, dirent.name);
+            if (dirent.isDirectory()) {
+                if (depth < MAX_SHORTCUT_FOLDER_DEPTH) stack.push({ dir: fullPath, depth: depth + 1, category: depth === 0 ? dirent.name : category });
+            } else if (dirent.isSymbolicLink()) {
+                const target = await fs.readlink(fullPath).catch(() => null);
+                if (target) items.push({ category, name: dirent.name, location: path.resolve(dir, target), type: '', tags: [], notes: '', dateAdded: '' });
+            } else if (SHORTCUT_EXTENSIONS.includes(path.extname(dirent.name).toLowerCase())) {
+                try { const item = await readShortcutFile(fullPath, category); if (item) items.push(item); }
+                catch (err) { failures.push(`${dirent.name}: ${err.message}`); }
+            }
+        }
+    }
+    return items;
+}
+
+// Cleans parsed rows into { category, name, location, entryType, tags, notes, dateAdded }. Local locations listed in an
+// imported file are not approved: choosing the file only approves the file itself, so opening or checking them asks first.
+async function normalizeImportedItems(rawItems) {
+    const text = value => typeof value === 'string' ? value.trim() : '';
+    const items = rawItems.slice(0, MAX_IMPORTED_ITEMS).map(raw => {
+        let location = text(raw.location);
+        if (/^file:/i.test(location)) { try { location = fileURLToPath(location); } catch (err) { location = ''; } }
+        return {
+            category: text(raw.category), name: text(raw.name), location, entryType: IMPORTED_ENTRY_TYPES[text(raw.type).toLowerCase().replace(/[\s_-]/g, '')] || null,
+            tags: (Array.isArray(raw.tags) ? raw.tags : []).map(text).filter(Boolean), notes: text(raw.notes), dateAdded: text(raw.dateAdded)
+        };
+    }).filter(item => item.location !== '');
+    for (const item of items) {
+        if (isWebLocation(item.location)) item.entryType = 'websiteLink';
+        else if (item.entryType === 'websiteLink') item.entryType = null; // A local path marked as a website
+        if (!item.entryType) {
+            const { path: resolved, unresolved } = resolveItemLocation(item.location, null);
+            // Imported locations are not approved (opening or checking them asks), so only already approved ones are looked at.
+            const stats = unresolved.length === 0 && isPathApproved(resolved) ? await statLocalPath(resolved) : null;
+            item.entryType = (stats && stats.entryType) || (path.extname(item.location) ? 'file' : 'folderLink');
+        }
+        if (!item.name) item.name = item.entryType === 'websiteLink' ? item.location : path.basename(item.location.replace(/[\\/]+$/, '')) || item.location;
+    }
+    return items;
+}
+
+async function readItemImportFile(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (SHORTCUT_EXTENSIONS.includes(extension)) { const item = await readShortcutFile(filePath, ''); return item ? [item] : []; }
+    const content = await fs.readFile(filePath, 'utf-8');
+    if (extension === '.csv' || extension === '.tsv' || extension === '.txt') return parseCsvItems(content);
+    if (extension === '.json') return parseJsonItems(content);
+    if (extension === '.html' || extension === '.htm') return parseBookmarkItems(content);
+    throw new Error(`Unsupported file type "${extension || path.basename(filePath)}".`);
+}
+
+ipcMain.handle('export-items', async (event, { format, groups, projectFilePath, defaultName } = {}) => {
+    if (!mainWindow) throw new Error('Main window not available for export dialog.');
+    const exportGroups = normalizeExportGroups(groups);
+    if (exportGroups.length === 0) throw new Error('There are no items to export.');
+    const baseName = toSafeFileName(defaultName, 'HemoPaths Items');
+    if (format === 'shortcuts') {
+        const { filePaths, canceled } = await dialog.showOpenDialog(mainWindow, { title: 'Choose a Folder for the Shortcuts', properties: ['openDirectory', 'createDirectory'] });
+        if (canceled || filePaths.length === 0) return null;
+        approvePaths(filePaths, 'shortcut export dialog');
+        const { exported, failures } = await exportItemsAsShortcuts(filePaths[0], exportGroups, projectFilePath);
+        log.info(`[Export] Wrote ${exported} shortcut(s) to ${filePaths[0]}; ${failures.length} failed.`);
+        return { target: filePaths[0], exported, failures };
+    }
+    const settings = ITEM_EXPORT_FORMATS[format];
+    if (!settings) throw new Error(`Unsupported export format "${format}".`);
+    let content, exported = exportGroups.reduce((sum, group) => sum + group.items.length, 0);
+    if (format === 'csv') content = serializeItemsAsCsv(exportGroups);
+    else if (format === 'json') content = JSON.stringify({ format: ITEM_LIST_FORMAT, version: 1, exportedAt: new Date().toISOString(), categories: exportGroups.map(group => ({ name: group.category, items: group.items })) }, null, 2);
+    else ({ content, exported } = serializeItemsAsBookmarks(exportGroups));
+    if (exported === 0) throw new Error('There are no website links to export as bookmarks.');
+    const { filePath, canceled } = await dialog.showSaveDialog(mainWindow, {
+        title: settings.title,
+        defaultPath: path.join(app.getPath('documents'), `${baseName}.${settings.filter.extensions[0]}`),
+        filters: [settings.filter]
+    });
+    if (canceled || !filePath) return null;
+    approvePaths([filePath], 'export dialog');
+    await writeFileAtomic(filePath, content);
+    log.info(`[Export] Wrote ${exported} item(s) as ${format} to ${filePath}.`);
+    return { target: filePath, exported, failures: [] };
+});
+
+ipcMain.handle('import-items', async (event, { source } = {}) => {
+    if (!mainWindow) throw new Error('Main window not available for import dialog.');
+    const fromFolder = source === 'shortcuts';
+    const { filePaths, canceled } = await dialog.showOpenDialog(mainWindow, fromFolder
+        ? { title: 'Import a Folder of Shortcuts', properties: ['openDirectory'] }
+        : { title: 'Import Items', properties: ['openFile', 'multiSelections'], filters: [
+            { name: 'Item Lists, Bookmarks and Shortcuts', extensions: ['csv', 'json', 'html', 'htm', 'lnk', 'url', 'desktop'] },
+            { name: 'CSV Spreadsheet', extensions: ['csv', 'tsv', 'txt'] }, { name: 'JSON Item List', extensions: ['json'] },
+            { name: 'Browser Bookmarks', extensions: ['html', 'htm'] }, { name: 'Shortcut Files', extensions: ['lnk', 'url', 'desktop'] }
+        ] });
+    if (canceled || filePaths.length === 0) return null;
+    approvePaths(filePaths, 'import dialog');
+    const failures = [];
+    let rawItems = [];
+    if (fromFolder) rawItems = await readShortcutFolder(filePaths[0], failures);
+    else {
+        for (const filePath of filePaths) {
+            try { rawItems.push(...await readItemImportFile(filePath)); }
+            catch (err) { if (filePaths.length === 1) throw err; failures.push(`${path.basename(filePath)}: ${err.message}`); }
+        }
+    }
+    const sourceName = filePaths.length === 1 ? path.basename(filePaths[0]) : `${filePaths.length} files`;
+    const items = await normalizeImportedItems(rawItems);
+    log.info(`[Import] Read ${items.length} item(s) from ${sourceName}; ${failures.length} problem(s).`);
+    return { sourceName, items, failures, truncated: rawItems.length > MAX_IMPORTED_ITEMS };
 });
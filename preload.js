@@ -0,0 +1,91 @@
+// preload.js - The only bridge between the (possibly remote) UI and the main process.
+// The page runs with contextIsolation and sandbox enabled, so it never sees ipcRenderer or Node. Instead it gets
+// window.hemo: one named method per operation, each forwarding to a single fixed IPC channel. Every path the main
+// process is asked to touch is still checked against the user's approved paths there.
+
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
+
+// Subscribes to a main-process event without leaking the IpcRendererEvent (and its sender) to the page.
+// Returns a function that removes the listener.
+function subscribe(channel) {
+    return (callback) => {
+        if (typeof callback !== 'function') throw new TypeError(`A callback is required for ${channel}.`);
+        const listener = (event, payload) => callback(payload);
+        ipcRenderer.on(channel, listener);
+        return () => ipcRenderer.removeListener(channel, listener);
+    };
+}
+
+contextBridge.exposeInMainWorld('hemo', {
+    // Window
+    minimizeWindow: () => ipcRenderer.send('minimize-window'),
+    closeWindow: () => ipcRenderer.send('close-window'),
+
+    // Native dialogs (results arrive through the matching on* events or the returned promise)
+    chooseFiles: () => ipcRenderer.send('open-file-dialog-for-files'),
+    chooseFolderLinks: () => ipcRenderer.send('open-folder-dialog-for-link'),
+    chooseFolderToImport: (options) => ipcRenderer.send('open-folder-dialog-for-import', options),
+    cancelFolderImport: (jobId) => ipcRenderer.send('cancel-folder-import', jobId),
+    selectFolder: (title) => ipcRenderer.invoke('select-folder', title),
+
+    // Projects
+    saveProjectAs: (data) => ipcRenderer.invoke('save-dialog', data),
+    saveProject: (filePath, data) => ipcRenderer.invoke('save-file', { filePath, data }),
+    openProjectDialog: () => ipcRenderer.invoke('open-dialog-for-hpmt'),
+    loadProjectFile: (filePath) => ipcRenderer.invoke('load-project-file', filePath),
+    parseProjectContent: (content) => ipcRenderer.invoke('parse-project-content', content),
+    exportItems: (format, groups, projectFilePath, defaultName) => ipcRenderer.invoke('export-items', { format, groups, projectFilePath, defaultName }),
+    importItems: (source) => ipcRenderer.invoke('import-items', { source }),
+
+    // Items
+    openPath: (targetPath) => ipcRenderer.invoke('open-path', targetPath),
+    revealPath: (targetPath) => ipcRenderer.invoke('reveal-path', targetPath),
+    openExternal: (url) => ipcRenderer.invoke('open-external', url),
+    processPastedPath: (pastedPath) => ipcRenderer.send('process-pasted-path', pastedPath),
+    pasteClipboardPath: () => ipcRenderer.send('process-pasted-path', { fromClipboard: true }),
+    resolveItemLocations: (locations, projectFilePath) => ipcRenderer.invoke('resolve-item-locations', { locations, projectFilePath }),
+    checkPathsHealth: (items, includeWebsites, projectFilePath) => ipcRenderer.invoke('check-paths-health', { items, includeWebsites, projectFilePath }),
+    findRelinkCandidates: (items, projectFilePath) => ipcRenderer.invoke('find-relink-candidates', { items, projectFilePath }),
+    setLiveFolders: (folders, projectFilePath) => ipcRenderer.invoke('set-live-folders', { folders, projectFilePath }),
+    launchItems: (items, projectFilePath, interval) => ipcRenderer.invoke('launch-items', { items, projectFilePath, interval }),
+    selectApplication: () => ipcRenderer.invoke('select-application'),
+
+    // Files dropped onto the window: their real paths are only readable here, and dropping counts as approval.
+    getDroppedFilePaths: (files) => {
+        const paths = Array.from(files || [], file => { try { return webUtils.getPathForFile(file); } catch (e) { return ''; } });
+        const existing = paths.filter(Boolean);
+        if (existing.length > 0) ipcRenderer.send('approve-dropped-paths', existing);
+        return paths;
+    },
+
+    // Settings & backups
+    getPathVariables: () => ipcRenderer.invoke('get-path-variables'),
+    setPathVariables: (variables) => ipcRenderer.invoke('set-path-variables', variables),
+    getUiSourceSettings: () => ipcRenderer.invoke('get-ui-source-settings'),
+    setUiSourceSettings: (settings) => ipcRenderer.invoke('set-ui-source-settings', settings),
+    createAutosaveSnapshot: (data, reason) => ipcRenderer.invoke('create-autosave-snapshot', { data, reason }),
+    listBackups: () => ipcRenderer.invoke('list-backups'),
+    readBackup: (backupId) => ipcRenderer.invoke('read-backup', backupId),
+    getDesktopSettings: () => ipcRenderer.invoke('get-desktop-settings'),
+    setDesktopSettings: (settings) => ipcRenderer.invoke('set-desktop-settings', settings),
+
+    // App
+    takeLaunchRequests: () => ipcRenderer.invoke('take-launch-requests'),
+    publishQuickLaunchData: (data) => ipcRenderer.send('publish-quick-launch-data', data),
+    setTaskReminders: (reminders) => ipcRenderer.send('set-task-reminders', reminders),
+    uiReady: () => ipcRenderer.send('ui-ready'),
+    checkForUpdates: () => ipcRenderer.send('check-for-updates'),
+
+    // Events from the main process
+    onFilesSelected: subscribe('selected-files-for-files'),
+    onFolderLinksSelected: subscribe('selected-folder-for-link'),
+    onFolderImportStarted: subscribe('folder-import-started'),
+    onFolderImportChunk: subscribe('folder-import-chunk'),
+    onFolderImportFinished: subscribe('folder-import-finished'),
+    onPastedPathProcessed: subscribe('pasted-path-processed'),
+    onPastedPathError: subscribe('pasted-path-error'),
+    onLaunchRequestsAvailable: subscribe('launch-requests-available'),
+    onLiveFolderChanged: subscribe('live-folder-changed'),
+    onLaunchItemResult: subscribe('launch-item-result'),
+    onUpdateStatusMessage: subscribe('update-status-message'),
+});